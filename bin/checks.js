@@ -0,0 +1,26 @@
+// Shared runner for the bin/check-* scripts
+// Created by Spencer Tipping, licensed under the terms of the MIT source code license.
+
+// Runs a table of named checks in order, prints "name: ok" or "name: FAILED (message)" for each one, and exits with status 1 if any of them threw. A check
+// that returns a promise is finished when the promise settles, and the next one starts after that.
+//
+//   require ("./checks.js") ({"round trip": function () {assert.equal (...);}, ...});
+
+module.exports = function (checks) {
+  var names = [], failed = 0;
+  for (var name in checks) names.push (name);
+
+  var next = function (i) {
+    if (i === names.length) return process.exit (failed ? 1 : 0);
+
+    var ok   = function ()  {console.log (names[i] + ": ok"); next (i + 1);},
+        fail = function (e) {++failed; console.log (names[i] + ": FAILED (" + (e && e.message || e) + ")"); next (i + 1);};
+
+    try       {var result = checks[names[i]] ();}
+    catch (e) {return fail (e);}
+    if (result && result.then) result.then (ok, fail);
+    else                       ok ();
+  };
+
+  next (0);
+};
@@ -0,0 +1,24 @@
+// CommonJS entry point
+// Created by Spencer Tipping, licensed under the terms of the MIT source code license.
+
+// Loads the library as modules instead of globals; see the end of src/typeclass.js. The core has no browser dependencies. xp and laws are loaded only when
+// they are first used, since most programs don't need them; xp reads browser objects from xp.environment, which you can point at a jsdom window or similar.
+// Their packages are registered here all the same, so tc.using loads them too.
+//
+//   var lib = require ("./index.js"), tc = lib.tc, mn = lib.mn;
+
+    var tc = require ("./src/typeclass.js");
+    require ("./src/generic.js");
+
+    module.exports = {tc:      tc,
+                      rtti:    require ("./src/rtti.js"),
+                      mn:      require ("./src/monad.js"),
+                      prelude: require ("./src/prelude.js")};
+
+    Object.defineProperty (module.exports, "xp",   {enumerable: true, get: function () {return require ("./src/xp.js");}});
+    Object.defineProperty (module.exports, "laws", {enumerable: true, get: function () {return require ("./src/laws.js");}});
+
+    ["xp", "laws"].forEach (function (name) {
+      if (! tc.packages.hasOwnProperty ("com.spencertipping.ja." + name))
+        tc['package'] ("com.spencertipping.ja." + name, function () {return module.exports[name];});
+    });
@@ -0,0 +1,107 @@
+// JavaScript generic function (multimethod) implementation
+// Created by Spencer Tipping, licensed under the terms of the MIT source code license.
+
+// Overview
+//
+// Members added with add_member live on the object, so an object can have only one implementation of any given method and that implementation has to be chosen
+// when the typeclass is added. Haskell's class methods work differently: the method is separate from the value, and the implementation is chosen by the types
+// of the arguments at the time of the call. A generic function does this in JavaScript. You create one, define implementations for typeclasses (or for tuples
+// of typeclasses, one per argument), and then call it like any other function:
+//
+//   var show = tc.generic ("show");
+//   show.define ([integer],         function (x)    {return "int " + x;});
+//   show.define ([integer, string], function (x, s) {return s + x;});
+//   show.define ([null],            function (x)    {return String (x);});
+//   show (integer.create (5))       // => "int 5"
+//
+// Dispatch uses RTTI, so the typeclasses must be RTTI typeclasses (see rtti.js) and the arguments must be RTTI-tracked. A null in a tuple matches anything,
+// including values that have no RTTI at all. Positions beyond the end of a tuple are also unconstrained.
+//
+// This file depends on typeclass.js and rtti.js. It adds to tc rather than defining a namespace of its own, so as a module it exports tc.
+
+    var tc   = typeof tc   !== "undefined" ? tc   : require ("./typeclass.js");
+    var rtti = typeof rtti !== "undefined" ? rtti : require ("./rtti.js");
+
+// Specificity
+//
+// More than one implementation may apply to a call. One implementation is more specific than another if, at each argument position, its typeclass implies the
+// other's (see tc.implies) or the other's is null, and the two are not the same. The most specific applicable implementation is the one that is more specific
+// than all of the others; if there isn't one, then the call is ambiguous and an error is thrown rather than silently picking one.
+//
+// Both kinds of failure are tc.DispatchErrors (see "Errors" in typeclass.js) that carry the generic function and the arguments.
+
+    tc.DispatchError           = tc.error_class ("tc.DispatchError",           tc.Error);
+    tc.NoApplicableMethodError = tc.error_class ("tc.NoApplicableMethodError", tc.DispatchError);
+    tc.AmbiguousCallError      = tc.error_class ("tc.AmbiguousCallError",      tc.DispatchError);  // candidates: the implementations that tied
+
+    tc.generic_function = tc.typeclass.create ().add_constructor (function () {
+      if (! this.implementations) this.implementations = [];
+    });
+
+    tc.generic_function.at_least_as_specific = function (a, b) {
+      for (var i = 0, l = Math.max (a.length, b.length); i < l; ++i)
+        if (b[i] && ! (a[i] && tc.implies (a[i], b[i]))) return false;
+      return true;
+    };
+
+    tc.generic_function.same_typeclasses = function (a, b) {
+      for (var i = 0, l = Math.max (a.length, b.length); i < l; ++i) if ((a[i] || null) !== (b[i] || null)) return false;
+      return true;
+    };
+
+    tc.generic_function.matches = function (typeclasses, args) {
+      for (var i = 0, l = typeclasses.length; i < l; ++i)
+        if (typeclasses[i] && ! (args[i] && args[i].rtti && args[i].rtti.is_present (typeclasses[i]))) return false;
+      return true;
+    };
+
+    tc.generic_function.add_member ("define", function (typeclasses, f) {
+      // Accepts either a single typeclass or an array of them. Redefining the same tuple replaces the previous implementation.
+      if (! typeclasses || ! typeclasses.concat) typeclasses = [typeclasses];
+      for (var i = 0, l = this.implementations.length; i < l; ++i)
+        if (tc.generic_function.same_typeclasses (typeclasses, this.implementations[i].typeclasses)) {
+          this.implementations[i].f = f;
+          return this;
+        }
+
+      this.implementations.push ({typeclasses: typeclasses, f: f});
+      return this;
+    });
+
+    tc.generic_function.add_member ("applicable_to", function (args) {
+      var result = [];
+      for (var i = 0, l = this.implementations.length; i < l; ++i)
+        if (tc.generic_function.matches (this.implementations[i].typeclasses, args)) result.push (this.implementations[i]);
+      return result;
+    });
+
+    tc.generic_function.add_member ("dispatch", function (args) {
+      var candidates = this.applicable_to (args), best = [];
+      if (! candidates.length) throw new tc.NoApplicableMethodError ("tc.generic: No applicable implementation of " + this.generic_name,
+                                                                     {args: args, generic: this});
+
+      for (var i = 0, l = candidates.length; i < l; ++i) {
+        for (var j = 0, most_specific = true; most_specific && j < l; ++j)
+          most_specific = tc.generic_function.at_least_as_specific (candidates[i].typeclasses, candidates[j].typeclasses);
+        if (most_specific) best.push (candidates[i]);
+      }
+
+      if (best.length !== 1) throw new tc.AmbiguousCallError ("tc.generic: Ambiguous call to " + this.generic_name,
+                                                              {args: args, candidates: best.length ? best : candidates, generic: this});
+      return best[0].f;
+    });
+
+// Creating generic functions
+//
+// The generic function is itself a function object with the generic_function typeclass added to it. As with tc.class_generator, we refer to the result by name
+// inside the function so that the call doesn't depend on any /this/ binding; the caller's /this/ is passed through to the implementation.
+
+    tc.generic = function (name) {
+      var result = tc.generic_function.create (function () {return result.dispatch (arguments).apply (this, arguments);});
+      result.generic_name = name;
+      return result;
+    };
+
+    tc.name_typeclasses (tc, "tc");
+
+    if (typeof module !== "undefined" && module.exports) module.exports = tc;
@@ -0,0 +1,427 @@
+// JavaScript typeclass law checker
+// Created by Spencer Tipping, licensed under the terms of the MIT source code license.
+
+// Overview
+//
+// A typeclass instance comes with promises that the code can't check by itself: the array monad's bind should be associative, Ord's compare should be
+// transitive, and so on. This file checks such laws by trying them on lots of randomly generated values, in the style of Haskell's QuickCheck. When a law fails,
+// the checker shrinks the failing values to something smaller that still fails and reports that as the counterexample. For example:
+//
+//   var result = laws.check (laws.monad ("array monad", mn.array_monad, laws.array_monad_values, laws.array_monad_functions, laws.array_monad_equal));
+//   laws.report (result)  // => "array monad: left identity ok (100 trials)\n..."
+//
+// Law sets for the monads in monad.js (all but the async monad; see "Standard instances") and for the classes in prelude.js are in laws.standard, and
+// laws.check_all runs a list of law sets. To run them from the command line, use bin/check-laws.
+//
+// This file depends on typeclass.js, monad.js and prelude.js.
+
+    var tc      = typeof tc      !== "undefined" ? tc      : require ("./typeclass.js");
+    var mn      = typeof mn      !== "undefined" ? mn      : require ("./monad.js");
+    var prelude = typeof prelude !== "undefined" ? prelude : require ("./prelude.js");
+    var laws    = {};
+
+// Random numbers
+//
+// Trials need to be reproducible, so that a failure can be investigated after the fact. Math.random can't be seeded, so we use the Park-Miller generator
+// instead. Each report mentions the seed that it was run with.
+
+    laws.random = function (seed) {
+      var state = seed % 2147483646 + 1;
+      return function () {return ((state = state * 16807 % 2147483647) - 1) / 2147483646;};
+    };
+
+// Generators
+//
+// A generator is an object with a generate (random, size) method and a shrink (x) method. generate returns a raw value no bigger than /size/, and shrink returns
+// a list of values that are smaller than x in some sense, most promising first. A generator may also have a lift (x) method, which turns the raw value into the
+// value that the law sees. Shrinking happens on the raw values, so this is how we get shrinkable monadic values and so forth; see laws.map.
+//
+// Functions can't be generated in any useful way, so laws that take functions use laws.one_of with a list of functions. Giving each function a /description/
+// makes the report readable.
+
+    laws.integers = {
+      generate: function (random, size) {return Math.round ((random () * 2 - 1) * size);},
+      shrink:   function (x) {
+        // Zero first, then halfway to zero, then the positive version of a negative number, then one step toward zero.
+        if (x === 0) return [];
+        var result = [0];
+        if (Math.abs (x) > 2) result.push (x / 2 | 0);
+        if (x < 0)            result.push (-x);
+        if (Math.abs (x) > 1) result.push (x > 0 ? x - 1 : x + 1);
+        return result;
+      }};
+
+    laws.booleans = {
+      generate: function (random) {return random () < 0.5;},
+      shrink:   function (x)      {return x ? [false] : [];}};
+
+    laws.strings = {
+      generate: function (random, size) {
+        for (var result = "", i = 0, l = Math.floor (random () * (size + 1)); i < l; ++i) result += String.fromCharCode (97 + Math.floor (random () * 26));
+        return result;
+      },
+
+      shrink: function (s) {
+        for (var result = [], i = 0, l = s.length; i < l; ++i) result.push (s.substring (0, i) + s.substring (i + 1));
+        return result;
+      }};
+
+    laws.arrays_of = function (g) {
+      return {
+        generate: function (random, size) {
+          for (var result = [], i = 0, l = Math.floor (random () * (size + 1)); i < l; ++i) result.push (g.generate (random, size));
+          return result;
+        },
+
+        shrink: function (xs) {
+          // First try removing elements, then try shrinking each one in place.
+          var result = [];
+          for (var i = 0, l = xs.length; i < l; ++i) result.push (xs.slice (0, i).concat (xs.slice (i + 1)));
+          for (var i = 0, l = xs.length; i < l; ++i)
+            for (var j = 0, ss = g.shrink (xs[i]), ls = ss.length; j < ls; ++j) result.push (xs.slice (0, i).concat ([ss[j]], xs.slice (i + 1)));
+          return result;
+        },
+
+        lift: g.lift && function (xs) {
+          for (var result = [], i = 0, l = xs.length; i < l; ++i) result.push (g.lift (xs[i]));
+          return result;
+        }};
+    };
+
+    laws.optional = function (g) {
+      // Produces undefined about one time in five. undefined is the smallest value, so everything else shrinks to it first.
+      return {
+        generate: function (random, size) {return random () < 0.2 ? undefined : g.generate (random, size);},
+        shrink:   function (x)            {return x === undefined ? [] : [undefined].concat (g.shrink (x));},
+        lift:     g.lift && function (x)  {return x === undefined ? x : g.lift (x);}};
+    };
+
+    laws.one_of = function (values) {
+      // Raw values are indexes, so a value shrinks to the ones listed before it.
+      return {
+        generate: function (random) {return Math.floor (random () * values.length);},
+        shrink:   function (i)      {for (var result = [], j = 0; j < i; ++j) result.push (j); return result;},
+        lift:     function (i)      {return values[i];}};
+    };
+
+    laws.map = function (g, f) {
+      return {
+        generate: g.generate,
+        shrink:   g.shrink,
+        lift:     g.lift ? function (x) {return f (g.lift (x));} : f};
+    };
+
+    laws.lift = function (g, x) {return g.lift ? g.lift (x) : x;};
+
+// Checking laws
+//
+// A law is {name, args: [generators], property: function (...) {...}}, and a law set is {name, laws: [...]}. The property fails if it returns false or throws.
+// Options are /trials/ (default 100), /size/ (the largest size passed to generators, default 20), /seed/ (default taken from the clock) and /max_shrinks/
+// (default 1000). check returns {name, seed, passed, results}, where each result is {law, passed, trials} plus, on failure, {counterexample, shrunk,
+// shrink_steps, error}. The counterexamples are lifted values, not raw ones.
+
+    laws.lift_all = function (law, raw) {
+      for (var result = [], i = 0, l = raw.length; i < l; ++i) result.push (laws.lift (law.args[i], raw[i]));
+      return result;
+    };
+
+    laws.holds = function (law, raw) {
+      try       {return {passed: law.property.apply (law, laws.lift_all (law, raw)) !== false};}
+      catch (e) {return {passed: false, error: e};}
+    };
+
+    laws.shrink = function (law, raw, max_shrinks) {
+      // Greedy: take the first smaller set of arguments that still fails, and keep going from there until nothing smaller fails.
+      for (var steps = 0, progress = true; progress && steps < max_shrinks;) {
+        progress = false;
+        for (var i = 0, l = raw.length; ! progress && i < l; ++i)
+          for (var j = 0, cs = law.args[i].shrink (raw[i]), lc = cs.length; ! progress && j < lc && steps < max_shrinks; ++j, ++steps) {
+            var candidate = raw.slice (0, i).concat ([cs[j]], raw.slice (i + 1));
+            if (! laws.holds (law, candidate).passed) {
+              raw      = candidate;
+              progress = true;
+            }
+          }
+      }
+      return {raw: raw, steps: steps};
+    };
+
+    laws.check_law = function (law, random, options) {
+      for (var trial = 1; trial <= options.trials; ++trial) {
+        for (var raw = [], size = Math.ceil (options.size * trial / options.trials), i = 0, l = law.args.length; i < l; ++i)
+          raw.push (law.args[i].generate (random, size));
+
+        var outcome = laws.holds (law, raw);
+        if (! outcome.passed) {
+          var shrunk = laws.shrink (law, raw, options.max_shrinks);
+          return {law:            law.name,
+                  passed:         false,
+                  trials:         trial,
+                  counterexample: laws.lift_all (law, raw),
+                  shrunk:         laws.lift_all (law, shrunk.raw),
+                  shrink_steps:   shrunk.steps,
+                  error:          laws.holds (law, shrunk.raw).error};
+        }
+      }
+      return {law: law.name, passed: true, trials: options.trials};
+    };
+
+    laws.check = function (law_set, options) {
+      options = options || {};
+      var settings = {trials:      options.trials      || 100,
+                      size:        options.size        || 20,
+                      seed:        options.seed !== undefined ? options.seed : new Date ().getTime () % 2147483646,
+                      max_shrinks: options.max_shrinks || 1000};
+
+      for (var random = laws.random (settings.seed), results = [], passed = true, i = 0, l = law_set.laws.length; i < l; ++i) {
+        results.push (laws.check_law (law_set.laws[i], random, settings));
+        passed = passed && results[i].passed;
+      }
+      return {name: law_set.name, seed: settings.seed, passed: passed, results: results};
+    };
+
+    laws.check_all = function (law_sets, options) {
+      for (var result = [], i = 0, l = law_sets.length; i < l; ++i) result.push (laws.check (law_sets[i], options));
+      return result;
+    };
+
+// Reports
+
+    laws.show = function (x) {
+      if (x === undefined || x === null)                           return String (x);
+      if (typeof x === "string")                                   return '"' + x + '"';
+      if (x.description)                                           return x.description;
+      if (x.show)                                                  return x.show ();
+      if (Object.prototype.toString.call (x) === "[object Array]") return "[" + laws.map_show (x).join (", ") + "]";
+      if (x.error !== undefined && ! x.mbind)                      return "{error: " + laws.show (x.error) + "}";
+      return String (x);
+    };
+
+    laws.map_show = function (xs) {
+      for (var result = [], i = 0, l = xs.length; i < l; ++i) result.push (laws.show (xs[i]));
+      return result;
+    };
+
+    laws.report = function (results) {
+      // Accepts the result of either check or check_all.
+      if (! results.concat) results = [results];
+      for (var lines = [], i = 0, l = results.length; i < l; ++i)
+        for (var j = 0, rs = results[i].results, lr = rs.length; j < lr; ++j)
+          if (rs[j].passed) lines.push (results[i].name + ": " + rs[j].law + " ok (" + rs[j].trials + " trials)");
+          else              lines.push (results[i].name + ": " + rs[j].law + " FAILED after " + rs[j].trials + " trials (seed " + results[i].seed + ")",
+                                        "  counterexample: " + laws.map_show (rs[j].counterexample).join (", "),
+                                        "  shrunk (" + rs[j].shrink_steps + " steps): " + laws.map_show (rs[j].shrunk).join (", ") +
+                                        (rs[j].error !== undefined ? "\n  error: " + laws.show (rs[j].error.error || rs[j].error) : ""));
+      return lines.join ("\n");
+    };
+
+// Law sets
+//
+// These are parameterized by the typeclass under test, generators for its values, and an equality function (since the instance's own equality is one of the
+// things that might be broken). Monadic functions are applied directly in some laws, so they must not rely on their /this/ object; they use mn.unit instead.
+
+    laws.monad = function (name, monad, values, functions, equal) {
+      return {name: name, laws: [
+        {name: "left identity",  args: [laws.integers, functions],
+         property: function (a, f)    {return equal (mn.unit (monad, a).mbind (f), f (a));}},
+
+        {name: "right identity", args: [values],
+         property: function (m)       {return equal (m.mbind (function (x) {return this (x);}), m);}},
+
+        {name: "associativity",  args: [values, functions, functions],
+         property: function (m, f, g) {return equal (m.mbind (f).mbind (g), m.mbind (function (x) {return f (x).mbind (g);}));}}]};
+    };
+
+    laws.functor = function (name, values, equal) {
+      var f = function (x) {return x * 2;}, g = function (x) {return x + 1;};
+      return {name: name, laws: [
+        {name: "identity",    args: [values], property: function (m) {return equal (m.fmap (function (x) {return x;}), m);}},
+        {name: "composition", args: [values], property: function (m) {return equal (m.fmap (function (x) {return g (f (x));}), m.fmap (f).fmap (g));}}]};
+    };
+
+    laws.foldable = function (name, values) {
+      return {name: name, laws: [
+        {name: "count agrees with to_array", args: [values], property: function (m) {return m.count () === m.to_array ().length;}},
+        {name: "fold visits to_array",       args: [values], property: function (m) {
+          var xs = m.to_array (), i = 0;
+          return m.fold (function (ok, x) {return ok && prelude.equal (x, xs[i++]);}, true) && i === xs.length;
+        }}]};
+    };
+
+    laws.eq = function (name, values) {
+      return {name: name, laws: [
+        {name: "reflexivity",         args: [values],         property: function (x)    {return x.eq (x);}},
+        {name: "symmetry",            args: [values, values], property: function (x, y) {return x.eq (y) === y.eq (x);}},
+        {name: "neq is the negation", args: [values, values], property: function (x, y) {return x.neq (y) === ! x.eq (y);}}]};
+    };
+
+    laws.ord = function (name, values) {
+      var sign = function (x) {return x < 0 ? -1 : x > 0 ? 1 : 0;};
+      return {name: name, laws: [
+        {name: "antisymmetry",       args: [values, values],         property: function (x, y)    {return sign (x.compare (y)) === -sign (y.compare (x));}},
+        {name: "transitivity",       args: [values, values, values], property: function (x, y, z) {return ! (x.le (y) && y.le (z)) || x.le (z);}},
+        {name: "compare agrees",     args: [values, values],         property: function (x, y)    {return x.eq (y) === (x.compare (y) === 0);}},
+        {name: "lt is le and not eq", args: [values, values],        property: function (x, y)    {return x.lt (y) === (x.le (y) && ! x.eq (y));}}]};
+    };
+
+    laws.monoid = function (name, values, equal) {
+      return {name: name, laws: [
+        {name: "left identity",  args: [values],                 property: function (x)       {return equal (x.mempty ().mappend (x), x);}},
+        {name: "right identity", args: [values],                 property: function (x)       {return equal (x.mappend (x.mempty ()), x);}},
+        {name: "associativity",  args: [values, values, values], property: function (x, y, z) {return equal (x.mappend (y).mappend (z), x.mappend (y.mappend (z)));}}]};
+    };
+
+// Standard instances
+//
+// Generators, functions and equality for the monads in monad.js and the instances in prelude.js. Function-valued monads (state, reader, cont) are compared by
+// running them on a few inputs. The transformers are checked over the array monad and compared by what run () returns. The async monad has no law set: its
+// values only settle on a later tick, and properties here are checked synchronously.
+
+    laws.described = function (description, f) {f.description = description; return f;};
+
+    laws.equal_arrays = function (xs, ys) {
+      if (xs.length !== ys.length) return false;
+      for (var i = 0, l = xs.length; i < l; ++i) if (! (xs[i] && xs[i].concat ? ys[i] && ys[i].concat && laws.equal_arrays (xs[i], ys[i]) :
+                                                                               prelude.unbox (xs[i]) === prelude.unbox (ys[i]))) return false;
+      return true;
+    };
+
+    laws.array_monad_values    = laws.map (laws.arrays_of (laws.integers), function (xs) {return mn.array_monad.create (xs);});
+    laws.array_monad_equal     = laws.equal_arrays;
+    laws.array_monad_functions = laws.one_of ([
+      laws.described ("x -> [x + 1]",  function (x) {return mn.unit (mn.array_monad, x + 1);}),
+      laws.described ("x -> [x, -x]",  function (x) {return mn.array_monad.create ([x, -x]);}),
+      laws.described ("x -> []",       function (x) {return mn.zero (mn.array_monad);}),
+      laws.described ("x -> [x * 2]",  function (x) {return mn.unit (mn.array_monad, x * 2);})]);
+
+    laws.maybe_monad_values    = laws.map (laws.optional (laws.integers), function (x) {return x === undefined ? mn.maybe_monad.nothing :
+                                                                                                                   mn.maybe_monad.create (x);});
+    laws.maybe_monad_equal     = function (a, b) {return a.is_nothing () ? b.is_nothing () : ! b.is_nothing () && prelude.equal (a.value, b.value);};
+    laws.maybe_monad_functions = laws.one_of ([
+      laws.described ("x -> just (x + 1)",       function (x) {return mn.unit (mn.maybe_monad, x + 1);}),
+      laws.described ("x -> nothing",            function (x) {return mn.zero (mn.maybe_monad);}),
+      laws.described ("x -> nothing if x < 0",   function (x) {return x < 0 ? mn.zero (mn.maybe_monad) : mn.unit (mn.maybe_monad, x);})]);
+
+    laws.error_monad_values    = laws.map (laws.optional (laws.integers), function (x) {return x === undefined ? mn.zero (mn.error_monad) :
+                                                                                                                   mn.error_monad.create (x);});
+    laws.error_monad_equal     = function (a, b) {return a.error ? !! b.error && laws.show (a.error) === laws.show (b.error) :
+                                                                   ! b.error && prelude.equal (a.value, b.value);};
+    laws.error_monad_functions = laws.one_of ([
+      laws.described ("x -> ok (x + 1)",         function (x) {return mn.unit (mn.error_monad, x + 1);}),
+      laws.described ("x -> throw",              function (x) {return mn.error_monad.fail ("thrown");}),
+      laws.described ("x -> throw if odd",       function (x) {return x % 2 ? mn.error_monad.fail ("odd") : mn.unit (mn.error_monad, x);})]);
+
+    laws.states                = [0, 1, -7];
+    laws.state_monad_values    = laws.map (laws.integers, function (n) {return mn.state_monad.create (function (s) {return [s + n, s * 2 + n];});});
+    laws.state_monad_equal     = function (a, b) {
+      for (var i = 0, l = laws.states.length; i < l; ++i) if (! laws.equal_arrays (a.run (laws.states[i]), b.run (laws.states[i]))) return false;
+      return true;
+    };
+    laws.state_monad_functions = laws.one_of ([
+      laws.described ("x -> return (x + 1)",     function (x) {return mn.unit (mn.state_monad, x + 1);}),
+      laws.described ("x -> put x",              function (x) {return mn.state_monad.put (x);}),
+      laws.described ("x -> modify (+ x)",       function (x) {return mn.state_monad.modify (function (s) {return s + x;});})]);
+
+    laws.writer_monad_values    = laws.map (laws.arrays_of (laws.integers), function (xs) {return mn.writer_monad.create ({value: xs.length, log: xs});});
+    laws.writer_monad_equal     = function (a, b) {return laws.equal_arrays ([a.value], [b.value]) && laws.equal_arrays (a.log, b.log);};
+    laws.writer_monad_functions = laws.one_of ([
+      laws.described ("x -> return (x + 1)",     function (x) {return mn.unit (mn.writer_monad, x + 1);}),
+      laws.described ("x -> tell x",             function (x) {return mn.writer_monad.create ({value: x, log: [x]});})]);
+
+    laws.environments           = [0, 1, -7];
+    laws.reader_monad_values    = laws.map (laws.integers, function (n) {return mn.reader_monad.create (function (env) {return env * 2 + n;});});
+    laws.reader_monad_equal     = function (a, b) {
+      for (var i = 0, l = laws.environments.length; i < l; ++i) if (a.run (laws.environments[i]) !== b.run (laws.environments[i])) return false;
+      return true;
+    };
+    laws.reader_monad_functions = laws.one_of ([
+      laws.described ("x -> return (x + 1)",     function (x) {return mn.unit (mn.reader_monad, x + 1);}),
+      laws.described ("x -> ask",                function (x) {return mn.reader_monad.ask ();}),
+      laws.described ("x -> asks (+ x)",         function (x) {return mn.reader_monad.asks (function (env) {return env + x;});})]);
+
+    laws.continuations        = [function (x) {return x;}, function (x) {return x * 3 + 1;}];
+    laws.cont_monad_values    = laws.map (laws.integers, function (n) {return mn.cont_monad.create (function (k) {return k (n) + k (n + 1);});});
+    laws.cont_monad_equal     = function (a, b) {
+      for (var i = 0, l = laws.continuations.length; i < l; ++i) if (a.run (laws.continuations[i]) !== b.run (laws.continuations[i])) return false;
+      return true;
+    };
+    laws.cont_monad_functions = laws.one_of ([
+      laws.described ("x -> return (x + 1)",     function (x) {return mn.unit (mn.cont_monad, x + 1);}),
+      laws.described ("x -> escape (x * 2)",     function (x) {return mn.cont_monad.callcc (function (exit) {return exit (x * 2);});}),
+      laws.described ("x -> k (x) - k (-x)",     function (x) {return mn.cont_monad.create (function (k) {return k (x) - k (-x);});})]);
+
+    // Transformers over the array monad. Their values are lists of result records, or for state_t, functions from the state to lists of pairs.
+    laws.equal_records = function (xs, ys) {
+      if (xs.length !== ys.length) return false;
+      for (var i = 0, l = xs.length; i < l; ++i) if (!! xs[i].nothing !== !! ys[i].nothing || laws.show (xs[i].error) !== laws.show (ys[i].error) ||
+                                                     ! prelude.equal (xs[i].value, ys[i].value)) return false;
+      return true;
+    };
+
+    laws.maybe_t_monad           = mn.maybe_t (mn.array_monad);
+    laws.maybe_t_monad_values    = laws.map (laws.arrays_of (laws.optional (laws.integers)), function (xs) {
+      for (var records = [], i = 0, l = xs.length; i < l; ++i) records.push (xs[i] === undefined ? {nothing: true} : {value: xs[i]});
+      return laws.maybe_t_monad.create ({inner: mn.array_monad.create (records)});
+    });
+    laws.maybe_t_monad_equal     = function (a, b) {return laws.equal_records (a.run (), b.run ());};
+    laws.maybe_t_monad_functions = laws.one_of ([
+      laws.described ("x -> return (x + 1)",     function (x) {return mn.unit (laws.maybe_t_monad, x + 1);}),
+      laws.described ("x -> nothing",            function (x) {return mn.zero (laws.maybe_t_monad);}),
+      laws.described ("x -> lift [x, -x]",       function (x) {return laws.maybe_t_monad.lift (mn.array_monad.create ([x, -x]));})]);
+
+    laws.error_t_monad           = mn.error_t (mn.array_monad);
+    laws.error_t_monad_values    = laws.map (laws.arrays_of (laws.optional (laws.integers)), function (xs) {
+      for (var records = [], i = 0, l = xs.length; i < l; ++i) records.push (xs[i] === undefined ? {error: "failed"} : {value: xs[i]});
+      return laws.error_t_monad.create ({inner: mn.array_monad.create (records)});
+    });
+    laws.error_t_monad_equal     = function (a, b) {return laws.equal_records (a.run (), b.run ());};
+    laws.error_t_monad_functions = laws.one_of ([
+      laws.described ("x -> return (x + 1)",     function (x) {return mn.unit (laws.error_t_monad, x + 1);}),
+      laws.described ("x -> fail if odd",        function (x) {return x % 2 ? laws.error_t_monad.fail ("odd") : mn.unit (laws.error_t_monad, x);}),
+      laws.described ("x -> lift [x, -x]",       function (x) {return laws.error_t_monad.lift (mn.array_monad.create ([x, -x]));})]);
+
+    laws.state_t_monad           = mn.state_t (mn.array_monad);
+    laws.state_t_monad_values    = laws.map (laws.integers, function (n) {
+      return laws.state_t_monad.create (function (s) {return mn.array_monad.create ([[s + n, s], [n, s * 2]]);});
+    });
+    laws.state_t_monad_equal     = function (a, b) {
+      for (var i = 0, l = laws.states.length; i < l; ++i) if (! laws.equal_arrays (a.run (laws.states[i]), b.run (laws.states[i]))) return false;
+      return true;
+    };
+    laws.state_t_monad_functions = laws.one_of ([
+      laws.described ("x -> return (x + 1)",     function (x) {return mn.unit (laws.state_t_monad, x + 1);}),
+      laws.described ("x -> put x",              function (x) {return laws.state_t_monad.put (x);}),
+      laws.described ("x -> lift [x, -x]",       function (x) {return laws.state_t_monad.lift (mn.array_monad.create ([x, -x]));})]);
+
+    laws.standard = [
+      laws.monad    ("array monad",  mn.array_monad,  laws.array_monad_values,  laws.array_monad_functions,  laws.array_monad_equal),
+      laws.monad    ("maybe monad",  mn.maybe_monad,  laws.maybe_monad_values,  laws.maybe_monad_functions,  laws.maybe_monad_equal),
+      laws.monad    ("error monad",  mn.error_monad,  laws.error_monad_values,  laws.error_monad_functions,  laws.error_monad_equal),
+      laws.monad    ("state monad",  mn.state_monad,  laws.state_monad_values,  laws.state_monad_functions,  laws.state_monad_equal),
+      laws.monad    ("writer monad", mn.writer_monad, laws.writer_monad_values, laws.writer_monad_functions, laws.writer_monad_equal),
+      laws.monad    ("reader monad", mn.reader_monad, laws.reader_monad_values, laws.reader_monad_functions, laws.reader_monad_equal),
+      laws.monad    ("cont monad",   mn.cont_monad,   laws.cont_monad_values,   laws.cont_monad_functions,   laws.cont_monad_equal),
+      laws.monad    ("maybe_t over array", laws.maybe_t_monad, laws.maybe_t_monad_values, laws.maybe_t_monad_functions, laws.maybe_t_monad_equal),
+      laws.monad    ("error_t over array", laws.error_t_monad, laws.error_t_monad_values, laws.error_t_monad_functions, laws.error_t_monad_equal),
+      laws.monad    ("state_t over array", laws.state_t_monad, laws.state_t_monad_values, laws.state_t_monad_functions, laws.state_t_monad_equal),
+
+      laws.functor  ("array functor",  laws.array_monad_values, laws.array_monad_equal),
+      laws.functor  ("maybe functor",  laws.maybe_monad_values, laws.maybe_monad_equal),
+      laws.functor  ("error functor",  laws.error_monad_values, laws.error_monad_equal),
+      laws.foldable ("array foldable", laws.array_monad_values),
+      laws.foldable ("maybe foldable", laws.maybe_monad_values),
+      laws.foldable ("error foldable", laws.error_monad_values),
+      laws.monoid   ("array monoid",   laws.array_monad_values, laws.array_monad_equal),
+
+      laws.eq       ("number eq",      laws.map (laws.integers, prelude.wrap)),
+      laws.ord      ("number ord",     laws.map (laws.integers, prelude.wrap)),
+      laws.eq       ("string eq",      laws.map (laws.strings,  prelude.wrap)),
+      laws.ord      ("string ord",     laws.map (laws.strings,  prelude.wrap)),
+      laws.eq       ("boolean eq",     laws.map (laws.booleans, prelude.wrap)),
+      laws.ord      ("boolean ord",    laws.map (laws.booleans, prelude.wrap)),
+      laws.monoid   ("string monoid",  laws.map (laws.strings,  prelude.wrap), function (a, b) {return a.valueOf () === b.valueOf ();})];
+
+    // index.js registers this package before loading the file, so that tc.using can load it.
+    if (! tc.packages.hasOwnProperty ("com.spencertipping.ja.laws")) tc['package'] ("com.spencertipping.ja.laws", function () {return laws;});
+
+    if (typeof module !== "undefined" && module.exports) module.exports = laws;
@@ -9,6 +9,7 @@
 // /return/ operator of the appropriate monad, and ideally one bind function should be generic across monadic types. Second, the names are different from those
 // in Haskell. Instead of using >>= for bind and /return/ for return, I am using the mbind and mreturn methods.
 
+    var tc = typeof tc !== "undefined" ? tc : require ("./typeclass.js");
     var mn = {};
 
 // Basic monadic conventions
@@ -24,7 +25,7 @@
     });
 
     mn.singular_monad = tc.class_generator (mn.monadic_typeclass).add_constructor (function () {
-      this.add_constructor (function () {this.value = this;});
+      this.add_constructor (function () {this.value = this;})['transient'] ("value");
       this.add_member ("extract", function () {return this.value;});
     });
 
@@ -35,6 +36,17 @@
 //
 // The error monad is very cool. It catches any errors that come out of the bind function and stops attempting further processing when one is received. It
 // allows retrieval of the value and of the error as well.
+//
+// Catching everything is not always what you want, so there are also combinators that deal only with selected error classes (see "Errors" in typeclass.js).
+// handle_errors passes a matching error to a function that returns a new error monad value, as mbind does for values; recover_errors does the same with a
+// function that returns a plain value. Errors of other classes pass through both unchanged. rethrow_except throws any error that isn't of the given classes
+// out of the monad altogether, so that bugs don't get mistaken for expected failures:
+//
+//   mn.error_monad.create (x).mbind (parse).recover_errors (ParseError, function (e) {return default_value;}).rethrow_except ([])
+//
+// Errors that the library itself produces are mn.MonadErrors, or tc.Errors more generally.
+
+    mn.MonadError = tc.error_class ("mn.MonadError", tc.Error);
 
     mn.array_monad = mn.monadic_typeclass ({
       mbind: function (f) {
@@ -46,6 +58,10 @@
       
       mreturn: function (x) {
         return mn.array_monad.create ([x]);
+      },
+
+      mzero: function () {
+        return mn.array_monad.create ([]);
       }});
 
     mn.maybe_monad = mn.singular_monad ({
@@ -55,7 +71,12 @@
       },
 
       mreturn: function (x) {
-        return mn.maybe_monad.create (x);
+        // undefined can't be boxed, and it is how nothing is represented anyway.
+        return x === undefined ? mn.maybe_monad.nothing : mn.maybe_monad.create (x);
+      },
+
+      mzero: function () {
+        return mn.maybe_monad.nothing;
       }});
     
       mn.maybe_monad.add_member ("is_nothing", function () {return this.value === undefined;});
@@ -63,20 +84,330 @@
       mn.maybe_monad.nothing = mn.maybe_monad.create ();
       mn.maybe_monad.nothing.value = undefined;
 
+      // There is only one nothing, so it is serialized by name (see "Serialization" in typeclass.js).
+      tc.register ("mn.maybe_monad.nothing", mn.maybe_monad.nothing);
+
     mn.error_monad = mn.singular_monad ({
       mbind: function (f) {
         if (this.error) return this;
         else
           try {return f.apply (this.mreturn, [this.value]);}
-          catch (e) {
-            var result = this.monadic_typeclass.create ();
-            result.error = e;
-            return result;
-          }
+          catch (e) {return mn.error_monad.fail (e);}
       },
 
       mreturn: function (x) {
         return mn.error_monad.create (x);
+      },
+
+      mzero: function () {
+        return mn.error_monad.fail (new mn.MonadError ("mn.error_monad: mzero"));
       }});
     
       mn.error_monad.add_member ("get_error", function () {return this.error;});
+
+      mn.error_monad.add_member ("handle_errors", function (classes, f) {
+        if (! this.error || ! tc.error_matches (this.error, classes)) return this;
+        try       {return f.apply (this.mreturn, [this.error]);}
+        catch (e) {return mn.error_monad.fail (e);}
+      });
+
+      mn.error_monad.add_member ("recover_errors", function (classes, f) {
+        return this.handle_errors (classes, function (e) {return this (f (e));});
+      });
+
+      mn.error_monad.add_member ("rethrow_except", function (classes) {
+        if (this.error && ! tc.error_matches (this.error, classes)) throw this.error;
+        return this;
+      });
+
+      mn.error_monad.fail = function (e) {
+        var result = mn.error_monad.create ();
+        result.error = e;
+        return result;
+      };
+
+// More monads
+//
+// State, Reader and Cont values are functions, as in Haskell: a state computation takes a state and returns a [value, new state] pair, a reader takes an
+// environment, and a continuation takes the function that receives its result. The typeclass is added to the function itself, so run() is just a call. Writer
+// values are {value, log} objects whose logs are concatenated as arrays. Async values hold a native Promise; a rejected promise short-circuits the rest of the
+// chain just as an error does in the error monad. Each monad also has a few typeclass-level operations, in the same way that the maybe monad has /nothing/.
+//
+//   var counter = mn.run (mn.state_monad, [{bind: "n", to: function () {return mn.state_monad.get ();}},
+//                                          function (env) {return mn.state_monad.put (env.n + 1);},
+//                                          function (env) {return this (env.n);}]);
+//   counter.run (5)  // => [5, 6]
+
+    mn.state_monad = mn.monadic_typeclass ({
+      mbind: function (f) {
+        var m = this;
+        return mn.state_monad.create (function (s) {
+          var result = m (s);
+          return f.apply (m.mreturn, [result[0]]) (result[1]);
+        });
+      },
+
+      mreturn: function (x) {
+        return mn.state_monad.create (function (s) {return [x, s];});
+      }});
+
+      mn.state_monad.add_member ("run",     function (s) {return this (s);});
+      mn.state_monad.add_member ("extract", function (s) {return this (s)[0];});
+      mn.state_monad.add_member ("exec",    function (s) {return this (s)[1];});
+
+      mn.state_monad.get    = function ()  {return mn.state_monad.create (function (s) {return [s, s];});};
+      mn.state_monad.put    = function (s) {return mn.state_monad.create (function ()  {return [s, s];});};
+      mn.state_monad.modify = function (f) {return mn.state_monad.create (function (s) {var t = f (s); return [t, t];});};
+
+    mn.reader_monad = mn.monadic_typeclass ({
+      mbind: function (f) {
+        var m = this;
+        return mn.reader_monad.create (function (env) {return f.apply (m.mreturn, [m (env)]) (env);});
+      },
+
+      mreturn: function (x) {
+        return mn.reader_monad.create (function () {return x;});
+      }});
+
+      mn.reader_monad.add_member ("run",     function (env) {return this (env);});
+      mn.reader_monad.add_member ("extract", function (env) {return this (env);});
+      mn.reader_monad.add_member ("local",   function (f) {
+        var m = this;
+        return mn.reader_monad.create (function (env) {return m (f (env));});
+      });
+
+      mn.reader_monad.ask  = function ()  {return mn.reader_monad.create (function (env) {return env;});};
+      mn.reader_monad.asks = function (f) {return mn.reader_monad.create (function (env) {return f (env);});};
+
+    mn.writer_monad = mn.monadic_typeclass ({
+      mbind: function (f) {
+        var result = f.apply (this.mreturn, [this.value]);
+        return mn.writer_monad.create ({value: result.value, log: this.log.concat (result.log)});
+      },
+
+      mreturn: function (x) {
+        return mn.writer_monad.create ({value: x, log: []});
+      }});
+
+      mn.writer_monad.add_member ("run",     function () {return [this.value, this.log];});
+      mn.writer_monad.add_member ("extract", function () {return this.value;});
+
+      mn.writer_monad.tell = function () {return mn.writer_monad.create ({value: undefined, log: Array.prototype.slice.call (arguments)});};
+
+    mn.cont_monad = mn.monadic_typeclass ({
+      mbind: function (f) {
+        var m = this;
+        return mn.cont_monad.create (function (k) {return m (function (x) {return f.apply (m.mreturn, [x]) (k);});});
+      },
+
+      mreturn: function (x) {
+        return mn.cont_monad.create (function (k) {return k (x);});
+      }});
+
+      mn.cont_monad.add_member ("run",     function (k) {return this (k);});
+      mn.cont_monad.add_member ("extract", function ()  {return this (function (x) {return x;});});
+
+      // callcc gives f an escape function; calling it with a value abandons the rest of f's computation and returns the value to callcc's continuation.
+      mn.cont_monad.callcc = function (f) {
+        return mn.cont_monad.create (function (k) {
+          return f (function (x) {return mn.cont_monad.create (function () {return k (x);});}) (k);
+        });
+      };
+
+    mn.async_monad = mn.monadic_typeclass ({
+      mbind: function (f) {
+        var mreturn = this.mreturn;
+        return mn.async_monad.create ({promise: this.promise.then (function (x) {return f.apply (mreturn, [x]).promise;})});
+      },
+
+      mreturn: function (x) {
+        return mn.async_monad.create ({promise: Promise.resolve (x)});
+      },
+
+      mzero: function () {
+        return mn.async_monad.create ({promise: Promise.reject (new mn.MonadError ("mn.async_monad: mzero"))});
+      }});
+
+      // There is no way to get the value of a promise synchronously, so extract takes callbacks instead. run returns the promise itself.
+      mn.async_monad.add_member ("run",     function ()                    {return this.promise;});
+      mn.async_monad.add_member ("extract", function (on_value, on_error) {return this.promise.then (on_value, on_error);});
+
+      // Wraps a callback-style operation, for instance an XHR from xp.ajax_class that resolves in its onreadystatechange handler.
+      mn.async_monad.from_callbacks = function (f) {return mn.async_monad.create ({promise: new Promise (f)});};
+      mn.async_monad.from_promise   = function (p) {return mn.async_monad.create ({promise: p});};
+
+// Monad transformers
+//
+// A transformer takes a monadic typeclass (the base) and returns a new monadic typeclass that adds one more effect on top of it. The transformed value wraps a
+// base monadic value, which run() returns. For maybe_t and error_t the base monad carries result records rather than plain values: {value: x} for success,
+// {nothing: true} for maybe_t's failure, and {error: e} for error_t's. For state_t the value is a function of the state that returns a base monadic value of
+// [value, new state] pairs. lift turns a base monadic value into a transformed one. For example, a nondeterministic search that can fail:
+//
+//   var search = mn.error_t (mn.array_monad);
+//   mn.run (search, [{bind: "x", to: function ()    {return search.lift (mn.array_monad.create ([1, 2, 3]));}},
+//                    function (env) {if (env.x === 2) throw "two"; return this (env.x * 10);}]).run ()
+//   // => [{value: 10}, {error: "two"}, {value: 30}]
+//
+// The transformers rely only on the base's mbind and on return being its /this/ object, so they work over any monad that follows the conventions above,
+// including other transformers. Records are fresh objects every time, since singular base monads decorate whatever they are given.
+
+    mn.maybe_t = function (base) {
+      var result = mn.monadic_typeclass ({
+        mbind: function (f) {
+          var mreturn = this.mreturn;
+          return result.create ({inner: this.inner.mbind (function (r) {return r.nothing ? this ({nothing: true}) : f.apply (mreturn, [r.value]).inner;})});
+        },
+
+        mreturn: function (x) {
+          return result.create ({inner: mn.unit (base, {value: x})});
+        },
+
+        mzero: function () {
+          return result.create ({inner: mn.unit (base, {nothing: true})});
+        }});
+
+      result.add_member ("run", function () {return this.inner;});
+      result.lift = function (m) {return result.create ({inner: m.mbind (function (x) {return this ({value: x});})});};
+      return result;
+    };
+
+    mn.error_t = function (base) {
+      // As in the error monad, anything thrown by the bind function becomes an error.
+      var result = mn.monadic_typeclass ({
+        mbind: function (f) {
+          var mreturn = this.mreturn;
+          return result.create ({inner: this.inner.mbind (function (r) {
+            if (r.error !== undefined) return this ({error: r.error});
+            try       {return f.apply (mreturn, [r.value]).inner;}
+            catch (e) {return this ({error: e});}
+          })});
+        },
+
+        mreturn: function (x) {
+          return result.create ({inner: mn.unit (base, {value: x})});
+        },
+
+        mzero: function () {
+          return result.fail (new mn.MonadError ("mn.error_t: mzero"));
+        }});
+
+      result.add_member ("run", function () {return this.inner;});
+      result.lift = function (m) {return result.create ({inner: m.mbind (function (x) {return this ({value: x});})});};
+      result.fail = function (e) {return result.create ({inner: mn.unit (base, {error: e})});};
+      return result;
+    };
+
+    mn.state_t = function (base) {
+      var result = mn.monadic_typeclass ({
+        mbind: function (f) {
+          var m = this;
+          return result.create (function (s) {return m (s).mbind (function (pair) {return f.apply (m.mreturn, [pair[0]]) (pair[1]);});});
+        },
+
+        mreturn: function (x) {
+          return result.create (function (s) {return mn.unit (base, [x, s]);});
+        },
+
+        mzero: function () {
+          return result.create (function () {return mn.zero (base);});
+        }});
+
+      result.add_member ("run", function (s) {return this (s);});
+      result.lift   = function (m) {return result.create (function (s) {return m.mbind (function (x) {return this ([x, s]);});});};
+      result.get    = function ()  {return result.create (function (s) {return mn.unit (base, [s, s]);});};
+      result.put    = function (s) {return result.create (function ()  {return mn.unit (base, [s, s]);});};
+      result.modify = function (f) {return result.create (function (s) {var t = f (s); return mn.unit (base, [t, t]);});};
+      return result;
+    };
+
+// Do-notation
+//
+// Chaining mbind by hand nests a callback for every step. mn.run takes a monadic typeclass and a list of steps and does the nesting for you, threading an
+// environment of named values from each step to the next. A step is one of:
+//
+//   {bind: "x", to: function (env) {...}}  -- binds x to each value of the monadic value returned by the function
+//   {let:  "y", to: function (env) {...}}  -- binds y to the (non-monadic) value returned by the function
+//   {guard: function (env) {...}}          -- stops this branch unless the function returns a true value; this requires the monad to have an mzero
+//   function (env) {...}                   -- a monadic value whose values are discarded, or, as the last step, the result of the whole computation
+//
+// As with mbind, the /this/ object of every step function is the monad's return function. For example, to find Pythagorean triples:
+//
+//   mn.run (mn.array_monad, [{bind: "a", to: function ()    {return mn.array_monad.create ([3, 4, 5, 6, 8]);}},
+//                            {bind: "b", to: function (env) {return mn.array_monad.create ([4, 5, 6, 8, 10]);}},
+//                            {let:  "c", to: function (env) {return Math.sqrt (env.a * env.a + env.b * env.b);}},
+//                            {guard:     function (env) {return env.a < env.b && env.c === Math.round (env.c);}},
+//                            function (env) {return this ([env.a, env.b, env.c]);}]);
+//
+// Anything that follows the conventions at the top of this file will work, including user-defined monads. Return is called as constructor_args.mreturn on the
+// monadic typeclass, and zero as constructor_args.mzero. The environment travels inside a fresh holder object at each step, since singular monads decorate
+// whatever value they are given.
+
+    mn.unit = function (monad, x) {return monad.constructor_args.mreturn (x);};
+
+    mn.zero = function (monad) {
+      if (! monad.constructor_args.mzero) throw new mn.MonadError ("mn.zero: Monad has no mzero", {monad: monad});
+      return monad.constructor_args.mzero ();
+    };
+
+    mn.guard = function (monad, condition) {return condition ? mn.unit (monad, true) : mn.zero (monad);};
+
+    mn.extend = function (env, name, value) {
+      var result = {};
+      for (var k in env) result[k] = env[k];
+      result[name] = value;
+      return {env: result};
+    };
+
+    mn.run = function (monad, steps) {
+      var m = mn.unit (monad, {env: {}});
+
+      // Function steps are checked first because functions have a bind method of their own in newer JavaScript implementations.
+      for (var i = 0, l = steps.length; i < l; ++i) m = (function (step, last) {
+        if (step.apply && last) return m.mbind (function (h) {return step.apply (this, [h.env]);});
+        if (step.apply)         return m.mbind (function (h) {
+                                          var mreturn = this;
+                                          return step.apply (this, [h.env]).mbind (function () {return mreturn (h);});
+                                        });
+        if (step.bind)          return m.mbind (function (h) {
+                                          var mreturn = this;
+                                          return step.to.apply (this, [h.env]).mbind (function (x) {return mreturn (mn.extend (h.env, step.bind, x));});
+                                        });
+        if (step.let)           return m.mbind (function (h) {return this (mn.extend (h.env, step.let, step.to.apply (this, [h.env])));});
+        if (step.guard)         return m.mbind (function (h) {return step.guard.apply (this, [h.env]) ? this (h) : mn.zero (monad);});
+        throw new mn.MonadError ("mn.run: Unrecognized step", {step: step});
+      }) (steps[i], i === l - 1);
+
+      // If the last step was not a plain function, then the result of the computation is the environment itself.
+      return l && steps[l - 1].apply ? m : m.mbind (function (h) {return this (h.env);});
+    };
+
+// Generator-based do-notation
+//
+// Where generators are available, mn.do gives a more natural syntax. Each yield takes a monadic value and evaluates to one of its values, and the generator's
+// return value is passed to return:
+//
+//   mn.do (mn.array_monad, function* () {
+//     var a = yield mn.array_monad.create ([1, 2, 3]);
+//     var b = yield mn.array_monad.create ([a * 10, a * 100]);
+//     yield mn.guard (mn.array_monad, b > 20);
+//     return a + b;
+//   });
+//
+// A generator can only be resumed once, but a monad such as the array monad calls the rest of the computation once for each value. So every time a value
+// comes back, the generator is restarted and fed the values it has already received up to that point. This means that the generator function must not have
+// side effects other than through the monadic values it yields.
+
+    mn['do'] = function (monad, generator) {
+      var resume = function (history) {
+        for (var g = generator (), state = g.next (), i = 0; ! state.done && i < history.length; ++i) state = g.next (history[i]);
+        if (state.done) return mn.unit (monad, state.value);
+        return state.value.mbind (function (x) {return resume (history.concat ([x]));});
+      };
+
+      return resume ([]);
+    };
+
+    tc.name_typeclasses (mn, "mn");
+    tc['package'] ("com.spencertipping.ja.mn", function () {return mn;});
+
+    if (typeof module !== "undefined" && module.exports) module.exports = mn;
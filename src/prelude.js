@@ -0,0 +1,155 @@
+// JavaScript typeclass prelude
+// Created by Spencer Tipping, licensed under the terms of the MIT source code license.
+
+// Overview
+//
+// The typeclass machinery is not much use without some typeclasses to go with it. This file defines the usual suspects from Haskell's prelude: Eq, Ord, Show,
+// Functor, Foldable and Monoid. Each one is a typeclass with defaults and minimal definitions (see the section on superclasses in typeclass.js), so an instance
+// provides only the members named in a minimal definition and derives from the class to get the rest. For example:
+//
+//   var point = tc.typeclass.create ().derives_from (prelude.eq, prelude.show)
+//                                     .add_member ("eq",   function (p) {return this.x === p.x && this.y === p.y;})
+//                                     .add_member ("show", function ()  {return "(" + this.x + ", " + this.y + ")";});
+//   point.create ({x: 1, y: 2}).neq ({x: 1, y: 3})  // => true
+//
+// There are also instances for boxed primitives and for the monads in monad.js.
+//
+// This file depends on typeclass.js and monad.js.
+
+    var tc      = typeof tc !== "undefined" ? tc : require ("./typeclass.js");
+    var mn      = typeof mn !== "undefined" ? mn : require ("./monad.js");
+    var prelude = {};
+
+// Helpers
+//
+// Values inside containers may or may not belong to any of these classes. These functions use the class members when they exist and fall back to the built-in
+// behavior otherwise. Boxed primitives are unboxed for comparison, since new Number (5) !== new Number (5).
+
+    prelude.unbox      = function (x)    {return x !== null && x !== undefined && x.valueOf ? x.valueOf () : x;};
+    prelude.equal      = function (x, y) {return x !== null && x !== undefined && x.eq ? x.eq (y) : prelude.unbox (x) === prelude.unbox (y);};
+    prelude.show_value = function (x)    {return x !== null && x !== undefined && x.show ? x.show () : String (x);};
+
+// The classes
+//
+// Ord's compare returns a negative number, zero, or a positive number, like the comparator passed to Array.prototype.sort. Ord derives from Eq and defines eq
+// in terms of compare, so an Ord instance need not provide eq separately. Foldable's fold is a left fold: f is called with the accumulator and then the element.
+// Monoid's mempty is a member rather than a constant because there is nowhere else to put it; it returns the identity for the receiver's type.
+//
+// Each class declares signatures for the members an instance has to provide (see "Member signatures" in typeclass.js), so an instance whose fold takes the
+// wrong number of arguments fails when it is added rather than somewhere inside to_array.
+
+    prelude.eq = tc.typeclass.create ().named ("prelude.eq").signature ("eq", [null], "boolean").signature ("neq", [null], "boolean")
+                                       .add_default ("eq",  function (x) {return ! this.neq (x);})
+                                       .add_default ("neq", function (x) {return ! this.eq (x);})
+                                       .minimal_definition ("eq").minimal_definition ("neq");
+
+    prelude.ord = tc.typeclass.create ().named ("prelude.ord").derives_from (prelude.eq).minimal_definition ("compare").signature ("compare", [null], "number")
+                                        .add_default ("eq",  function (x) {return this.compare (x) === 0;})
+                                        .add_default ("lt",  function (x) {return this.compare (x) <   0;})
+                                        .add_default ("le",  function (x) {return this.compare (x) <=  0;})
+                                        .add_default ("gt",  function (x) {return this.compare (x) >   0;})
+                                        .add_default ("ge",  function (x) {return this.compare (x) >=  0;})
+                                        .add_default ("max", function (x) {return this.compare (x) >=  0 ? this : x;})
+                                        .add_default ("min", function (x) {return this.compare (x) <=  0 ? this : x;});
+
+    prelude.show = tc.typeclass.create ().named ("prelude.show").minimal_definition ("show").signature ("show", [], "string");
+
+    prelude.functor = tc.typeclass.create ().named ("prelude.functor").minimal_definition ("fmap").signature ("fmap", ["function"])
+                                            .add_default ("replace", function (x) {return this.fmap (function () {return x;});});
+
+    prelude.foldable = tc.typeclass.create ().named ("prelude.foldable").minimal_definition ("fold").signature ("fold", ["function", null])
+                                             .add_default ("to_array", function ()         {return this.fold (function (xs, x) {xs.push (x); return xs;}, []);})
+                                             .add_default ("count",    function ()         {return this.fold (function (n, x) {return n + 1;}, 0);})
+                                             .add_default ("any",      function (p)        {return this.fold (function (b, x) {return b || !! p (x);}, false);})
+                                             .add_default ("all",      function (p)        {return this.fold (function (b, x) {return b && !! p (x);}, true);})
+                                             .add_default ("contains", function (y)        {return this.any (function (x) {return prelude.equal (x, y);});})
+                                             .add_default ("fold_map", function (f, empty) {return this.fold (function (m, x) {return m.mappend (f (x));}, empty);});
+
+    prelude.monoid = tc.typeclass.create ().named ("prelude.monoid").minimal_definition ("mempty", "mappend")
+                                           .signature ("mempty", []).signature ("mappend", [null])
+                                           .add_default ("mconcat", function (xs) {
+                                             for (var result = this, i = 0, l = xs.length; i < l; ++i) result = result.mappend (xs[i]);
+                                             return result;
+                                           });
+
+// Boxed primitive instances
+//
+// These are added to boxed numbers, strings and booleans. prelude.wrap chooses the right one and boxes the value through tc.box (by way of create), so you can
+// say prelude.wrap (5).lt (6) without worrying about which instance applies. Anything other than a primitive is returned unchanged.
+
+    prelude.compare_primitives = function (x) {
+      var a = this.valueOf (), b = prelude.unbox (x);
+      return a < b ? -1 : a > b ? 1 : 0;
+    };
+
+    prelude.number = tc.typeclass.create ().derives_from (prelude.ord, prelude.show)
+                                           .add_member ("compare", prelude.compare_primitives)
+                                           .add_member ("show",    function () {return String (this.valueOf ());});
+
+    // boolean is a reserved word in older JavaScript implementations, hence the quotes.
+    prelude['boolean'] = tc.typeclass.create ().derives_from (prelude.ord, prelude.show)
+                                               .add_member ("compare", prelude.compare_primitives)
+                                               .add_member ("show",    function () {return String (this.valueOf ());});
+
+    prelude.string = tc.typeclass.create ().derives_from (prelude.ord, prelude.show, prelude.monoid)
+                                           .add_member ("compare", prelude.compare_primitives)
+                                           .add_member ("show",    function ()  {return '"' + this.valueOf ().replace (/["\\]/g, "\\$&") + '"';})
+                                           .add_member ("mempty",  function ()  {return prelude.string.create ("");})
+                                           .add_member ("mappend", function (x) {return prelude.string.create (this.valueOf () + prelude.unbox (x));});
+
+    prelude.wrap = function (x) {
+      switch (typeof x) {
+        case "number":  return prelude.number.create     (x);
+        case "string":  return prelude.string.create     (x);
+        case "boolean": return prelude['boolean'].create (x);
+        default:        return x;
+      }
+    };
+
+// Monad instances
+//
+// Every monad is a functor: fmap is just bind followed by return, which works for any monad that follows the conventions in monad.js. Folding is specific to
+// each monad. The array monad is also a monoid under concatenation and can be compared and shown elementwise.
+//
+// The maybe and error monads only get Functor and Foldable. Those monads are their own values (see mn.singular_monad), so any members we put on them also end
+// up on the wrapped value, where Eq, Show and Monoid members would collide with the value's own instances.
+
+    prelude.monadic_fmap = function (f) {return this.mbind (function (x) {return this (f (x));});};
+
+    prelude.array_instances = tc.typeclass.create ().derives_from (prelude.functor, prelude.foldable, prelude.monoid, prelude.eq, prelude.show)
+      .add_member ("fmap",    prelude.monadic_fmap)
+      .add_member ("mempty",  function ()   {return mn.array_monad.create ([]);})
+      .add_member ("mappend", function (xs) {return mn.array_monad.create (this.concat (xs));})
+      .add_member ("fold",    function (f, z) {
+        for (var i = 0, l = this.length; i < l; ++i) z = f (z, this[i]);
+        return z;
+      })
+      .add_member ("eq",      function (xs) {
+        if (! xs || xs.length !== this.length) return false;
+        for (var i = 0, l = this.length; i < l; ++i) if (! prelude.equal (this[i], xs[i])) return false;
+        return true;
+      })
+      .add_member ("show",    function () {
+        for (var result = [], i = 0, l = this.length; i < l; ++i) result.push (prelude.show_value (this[i]));
+        return "[" + result.join (", ") + "]";
+      });
+
+    prelude.maybe_instances = tc.typeclass.create ().derives_from (prelude.functor, prelude.foldable)
+      .add_member ("fmap", prelude.monadic_fmap)
+      .add_member ("fold", function (f, z) {return this.is_nothing () ? z : f (z, this.value);});
+
+    prelude.error_instances = tc.typeclass.create ().derives_from (prelude.functor, prelude.foldable)
+      .add_member ("fmap", prelude.monadic_fmap)
+      .add_member ("fold", function (f, z) {return this.error ? z : f (z, this.value);});
+
+    mn.array_monad.brings (prelude.array_instances);
+    mn.maybe_monad.brings (prelude.maybe_instances);
+    mn.error_monad.brings (prelude.error_instances);
+
+    // The nothing value was created before any of this existed, so it needs the instances added by hand.
+    prelude.maybe_instances.add (mn.maybe_monad.nothing);
+
+    tc.name_typeclasses (prelude, "prelude");
+    tc['package'] ("com.spencertipping.ja.prelude", function () {return prelude;});
+
+    if (typeof module !== "undefined" && module.exports) module.exports = prelude;
@@ -15,6 +15,7 @@
 //
 // Typeclasses that rely on the RTTI framework should bring() the RTTI tracker.
 
+    var tc   = typeof tc !== "undefined" ? tc : require ("./typeclass.js");
     var rtti = {};
 
 // The RTTI-enabled typeclass
@@ -31,7 +32,7 @@
 
     rtti.unique_id = 0;
 
-    rtti.typeclass = tc.typeclass.create ().add_constructor (function () {
+    rtti.typeclass = tc.typeclass.create ().brings (tc.typeclass).add_constructor (function () {
       this.unique_id = String (++rtti.unique_id);
       this.brings (rtti.tracked);
 
@@ -41,7 +42,8 @@
 
 // The RTTI tracker
 //
-// This object just needs to keep track of which typeclasses have been added and which ones haven't.
+// This object just needs to keep track of which typeclasses have been added and which ones haven't. present() lists the ones that have, in no particular order;
+// tc.describe (in typeclass.js) gives a fuller picture of an object.
 
     rtti.tracker = tc.class_generator ().add_constructor (function () {
       if (! this.present_typeclasses) this.present_typeclasses = {};
@@ -50,10 +52,22 @@
     rtti.tracker.add_member ("added",      function (t) {this.present_typeclasses[t.unique_id] = t;});
     rtti.tracker.add_member ("removed",    function (t) {delete this.present_typeclasses[t.unique_id];});
     rtti.tracker.add_member ("is_present", function (t) {return this.present_typeclasses[t.unique_id] !== undefined;});
+    rtti.tracker.add_member ("present",    function ()  {
+      var result = [];
+      for (var k in this.present_typeclasses) result.push (this.present_typeclasses[k]);
+      return result;
+    });
 
 // Tracking RTTI on an object
 //
-// Ensures that an object provides the rtti attribute.
+// Ensures that an object provides the rtti attribute. Because this typeclass has no members, it is re-added every time another RTTI typeclass is added to the
+// object; so an existing tracker must be kept, or else we would forget everything that was present before. The tracker is transient: tc.serialize leaves it
+// out, and it is rebuilt when the RTTI typeclasses are added again on the way back in.
 
-    rtti.tracked = tc.typeclass.create ().add_constructor (function () {this.rtti = rtti.tracker ();});
+    rtti.tracked = tc.typeclass.create ().add_constructor (function () {if (! this.rtti) this.rtti = rtti.tracker ();})['transient'] ("rtti");
     rtti.tracked.add_destructor                           (function () {delete this.rtti;});
+
+    tc.name_typeclasses (rtti, "rtti");
+    tc['package'] ("com.spencertipping.ja.rtti", function () {return rtti;});
+
+    if (typeof module !== "undefined" && module.exports) module.exports = rtti;
@@ -30,7 +30,7 @@
       // First, find out whether x is boxed or unboxed. Boxed values can accept object assignment, but unboxed values do not.
       x[tc.box.test_attribute] = tc.box.sentinel_value;
       if (x[tc.box.test_attribute] === tc.box.sentinel_value) {
-        x[tc.box.test_attribute] = undefined;
+        delete x[tc.box.test_attribute];
         return x;
       } else
         // We need to box x. (Yes, this is legal in FF and IE5, not sure about other browsers...)
@@ -40,6 +40,54 @@
     tc.box.test_attribute = "_____extremely_improbable_attribute_____";
     tc.box.sentinel_value = {};
 
+// Errors
+//
+// Everything the library throws is an instance of tc.Error, which is a real Error subclass with a stack trace. Each kind of failure has its own subclass, so
+// callers can catch the ones they expect and let the rest through:
+//
+//   try       {point.add (obj);}
+//   catch (e) {if (! (e instanceof tc.CollisionError)) throw e; ...}
+//
+// Errors about a typeclass carry it as /typeclass/ and the object it was being added to or removed from as /obj/; other properties depend on the kind of error
+// and are listed below. The message is also available as /error/, which is where it used to be when errors were plain objects. Other files define their own
+// subclasses with tc.error_class, which keeps each class in tc.error_classes under its name (along with the standard ones) so that tc.deserialize can make
+// errors of the same class again; see "Serialization" below.
+
+    tc.error_classes = {Error: Error, EvalError: EvalError, RangeError: RangeError, ReferenceError: ReferenceError, SyntaxError: SyntaxError,
+                        TypeError: TypeError, URIError: URIError};
+
+    tc.error_class = function (name, base) {
+      var result = function (message, properties) {
+        this.message = this.error = message;
+        for (var k in properties) this[k] = properties[k];
+        if (Error.captureStackTrace) Error.captureStackTrace (this, result);
+        else                         this.stack = new Error (message).stack;
+      };
+
+      // Object.create isn't available everywhere, so the prototype chain is made the old-fashioned way.
+      var inherit = function () {};
+      inherit.prototype = (base || Error).prototype;
+      result.prototype = new inherit ();
+      result.prototype.constructor = result;
+      result.prototype.name        = name;
+      return tc.error_classes[name] = result;
+    };
+
+    tc.error_matches = function (e, classes) {
+      // Classes may be a single error class or an array of them.
+      if (! classes || ! classes.concat) classes = [classes];
+      for (var i = 0, l = classes.length; i < l; ++i) if (e instanceof classes[i]) return true;
+      return false;
+    };
+
+    tc.Error                   = tc.error_class ("tc.Error");
+    tc.CollisionError          = tc.error_class ("tc.CollisionError",          tc.Error);  // members: the colliding member names
+    tc.MissingRequirementError = tc.error_class ("tc.MissingRequirementError", tc.Error);  // requirement: the missing typeclass; mismatches: see tc.requires
+    tc.MinimalDefinitionError  = tc.error_class ("tc.MinimalDefinitionError",  tc.Error);
+    tc.SignatureError          = tc.error_class ("tc.SignatureError",          tc.Error);  // member: the member's name
+    tc.ConstructorError        = tc.error_class ("tc.ConstructorError",        tc.Error);  // cause: what the constructor threw
+    tc.DestructorError         = tc.error_class ("tc.DestructorError",         tc.Error);  // cause: what the destructor threw
+
 // The Attachable typeclass
 //
 // In the spirit of reflection, I'm defining a typeclass that represents the operations that can be performed on typeclasses. First, typeclasses can be
@@ -56,17 +104,261 @@
 
     tc.bind = function (f, t) {return function () {return f.apply (t, arguments);};};
 
+// Attachment records
+//
+// Each time a typeclass is attached to an object, the object gets a record of what was installed and what was there before. The records are kept in an array
+// on the object, in the order in which they were made. This is what lets detach() put back exactly what the attachment displaced, and it is also how
+// collision detection tells a typeclass's own members (which it may refresh) from someone else's (which it must not clobber). Members that were installed as
+// defaults (see "Superclasses and default members" below) are marked as such, since anything else is allowed to replace them.
+//
+// Like tc.box.test_attribute, the array lives under an improbable name, so that it doesn't get in the way of the object's own data. It is non-enumerable where
+// the implementation allows, which keeps it out of for-in loops and JSON.stringify, and it goes away with the last record. tc.attachments_of gets the records.
+//
+// A record also says whether the typeclass was added explicitly and which typeclasses on the object required it (by bringing it or deriving from it). This is
+// the reference count that remove() uses to decide when a dependency can go; see "Removing dependencies" below.
+
+    tc.index_of = function (xs, x) {
+      for (var i = 0, l = xs.length; i < l; ++i) if (xs[i] === x) return i;
+      return -1;
+    };
+
+    tc.attachments_key = "_____typeclass_attachments_____";
+
+    tc.attachments_of = function (obj) {
+      return Object.prototype.hasOwnProperty.call (obj, tc.attachments_key) ? obj[tc.attachments_key] : [];
+    };
+
+    tc.attachment_of = function (obj, typeclass) {
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i) if (as[i].typeclass === typeclass) return as[i];
+    };
+
+    tc.add_attachment = function (obj, record) {
+      // Some implementations (IE8, for one) have Object.defineProperty but only allow it on DOM objects; there the array is an ordinary property.
+      if (! Object.prototype.hasOwnProperty.call (obj, tc.attachments_key))
+        try       {Object.defineProperty (obj, tc.attachments_key, {value: [], writable: true, configurable: true, enumerable: false});}
+        catch (e) {obj[tc.attachments_key] = [];}
+
+      obj[tc.attachments_key].push (record);
+      return record;
+    };
+
+    tc.remove_attachment = function (obj, record) {
+      var as = tc.attachments_of (obj), i = tc.index_of (as, record);
+      if (i >= 0)      as.splice (i, 1);
+      if (! as.length) delete obj[tc.attachments_key];
+    };
+
+    // Members installed on a prototype layer (see "Prototype-backed installation" below) are recorded in the layer's description, which is shared by every
+    // object that uses the layer, rather than in the record itself; what the object sees is its bound copy of the layer's method. Likewise, nothing is recorded
+    // as displaced when there was nothing there to begin with. These functions look in both places.
+
+    tc.installed_value = function (record, k) {
+      if (Object.prototype.hasOwnProperty.call (record.installed, k))                    return record.installed[k];
+      if (record.layer && Object.prototype.hasOwnProperty.call (record.layer.members, k)) return tc.bound_member (record, k);
+    };
+
+    tc.installed_members = function (record) {
+      var result = {};
+      if (record.layer) for (var k in record.layer.members) result[k] = tc.bound_member (record, k);
+      for (var k in record.installed) result[k] = record.installed[k];
+      return result;
+    };
+
+    tc.displaced_value = function (record, k) {return record.displaced[k] || {own: false, value: undefined};};
+
+    tc.member_function = function (obj, k) {
+      // Bound copies all take zero arguments as far as /length/ is concerned, so for anything that cares about arity we find the function that the typeclass
+      // installed. Checked members (see "Member signatures" below) are unwrapped as well.
+      for (var f = obj[k], i = 0, as = tc.attachments_of (obj), l = as.length; f && f.apply && i < l; ++i)
+        if (tc.installed_value (as[i], k) === f) {
+          f = (as[i].defaulted[k] || as[i].layer && as[i].layer.defaulted[k] ? as[i].typeclass.defaults : as[i].typeclass.members)[k] || f;
+          break;
+        }
+
+      while (f && f.unchecked) f = f.unchecked;
+      return f;
+    };
+
+    tc.owns_member = function (obj, typeclass, k) {
+      var record = tc.attachment_of (obj, typeclass);
+      return record !== undefined && obj[k] !== undefined && tc.installed_value (record, k) === obj[k];
+    };
+
+    tc.is_default_member = function (obj, k) {
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i)
+        if ((as[i].defaulted[k] || as[i].layer && as[i].layer.defaulted[k]) && tc.installed_value (as[i], k) === obj[k]) return true;
+      return false;
+    };
+
+    tc.install_member = function (obj, record, k, value, layer) {
+      // Re-attaching a typeclass keeps the first displaced value; otherwise we would end up restoring our own bound copy. If a prototype layer is being built,
+      // methods go into it unbound, except where the object has its own value that the layer couldn't shadow. Returns true if the member went into the layer.
+      var own = Object.prototype.hasOwnProperty.call (obj, k);
+      if (! record.displaced.hasOwnProperty (k) && (own || obj[k] !== undefined) && obj[k] !== tc.installed_value (record, k))
+        record.displaced[k] = {own: own, value: obj[k]};
+
+      if (layer && value && value.apply && ! own) return !! (layer[k] = value);
+      if (value && value.apply) obj[k] = record.installed[k] = tc.bind (value, obj);
+      else                      obj[k] = record.installed[k] = value;
+      return false;
+    };
+
+// Advice
+//
+// A typeclass can wrap members that other typeclasses provide, instead of (or as well as) providing members of its own. Each piece of advice is a function
+// that runs before a member, after it, or around it, and applies to a list of member names or to every member (null):
+//
+//   var traced = tc.typeclass.create ().before (null, function (name, args) {console.log ("calling " + name);});
+//   traced.add (point.create ({x: 1}));
+//
+// Before advice is called with the member's name and arguments, and after advice with those and the result (it isn't called if the member throws). Around
+// advice gets the name, the arguments, a function that calls the member (with different arguments if you pass an array-like, otherwise the same ones), and
+// an object that it can keep state in for as long as the advice stays on that member of that object. Advice is called with the object as /this/, and the
+// result of around advice is the result of the call. Only members installed by typeclasses are advised, not values that the object had of its own; that
+// includes members installed by a typeclass that has advice itself, which its own advice applies to like anyone else's.
+//
+// Advice composes in a fixed order: advice from typeclasses added later wraps advice from those added earlier, and within one typeclass, later advice wraps
+// earlier advice. So before advice runs newest first and after advice runs oldest first. Advising a member doesn't count as replacing it: the wrapper is
+// recorded as the advised typeclass's own member, so collision detection, defaults and re-adding that typeclass all see it as they would the member itself,
+// and advising typeclasses never collide with anything. The wrappers are rebuilt whenever typeclasses are added to or removed from an advised object, which
+// keeps advice on members that are installed later and takes it off cleanly when the advising typeclass is removed.
+//
+// Typeclasses in checked mode use the same mechanism to check calls to members that other typeclasses provide for their signatures; see "Member signatures".
+
+    tc.same_elements = function (xs, ys) {
+      if (! xs || ! ys || xs.length !== ys.length) return false;
+      for (var i = 0, l = xs.length; i < l; ++i) if (xs[i] !== ys[i]) return false;
+      return true;
+    };
+
+    tc.has_advice = function (obj) {
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i) if (as[i].typeclass.advice || as[i].checked) return true;
+      return false;
+    };
+
+    tc.advice_for = function (obj, k, owner) {
+      // Innermost first. A checked typeclass's own members are already checked, so it only checks members that other typeclasses own.
+      for (var result = [], i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i) {
+        for (var j = 0, advice = as[i].typeclass.advice || [], lj = advice.length; j < lj; ++j)
+          if (! advice[j].names || tc.index_of (advice[j].names, k) >= 0) result.push (advice[j]);
+        if (as[i].checked && as[i] !== owner && as[i].typeclass.signatures[k]) result.push (tc.signature_advice (as[i].typeclass, k));
+      }
+      return result;
+    };
+
+    tc.wrap_advice = function (obj, k, f, advice) {
+      // The wrappers call through to the object rather than to /this/, like the bound copies they usually wrap.
+      var g = advice.f, state = {};
+      switch (advice.kind) {
+        case "before": return function () {g.apply (obj, [k, arguments]); return f.apply (obj, arguments);};
+        case "after":  return function () {var result = f.apply (obj, arguments); g.apply (obj, [k, arguments, result]); return result;};
+        default:       return function () {
+          var args = arguments;
+          return g.apply (obj, [k, args, function (new_args) {return f.apply (obj, new_args || args);}, state]);
+        };
+      }
+    };
+
+    tc.advise_member = function (obj, k, base, advice) {
+      for (var f = base, i = 0, l = advice.length; i < l; ++i) f = tc.wrap_advice (obj, k, f, advice[i]);
+      f.unadvised = base;
+      f.advice    = advice;
+      return f;
+    };
+
+    tc.apply_advice = function (obj, k) {
+      // Brings the advice on obj[k] up to date. Wrappers are only rebuilt if the advice has changed, so around advice keeps its state across unrelated changes.
+      // A layered member is advised by putting the wrapper on the object; when the advice goes, so does the wrapper, and the layer shows through again. The
+      // owner is the typeclass that installed the member, whether or not it has advice of its own.
+      var current = obj[k], base = current && current.unadvised || current, owner;
+      if (! base || ! base.apply) return;
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i)
+        if (tc.installed_value (as[i], k) === current) owner = as[i];
+      if (! owner) return;
+
+      var advice  = tc.advice_for (obj, k, owner),
+          layered = owner.layer && Object.prototype.hasOwnProperty.call (owner.layer.members, k) && tc.bound_member (owner, k) === base;
+      if      (current.unadvised && tc.same_elements (current.advice, advice)) return;
+      else if (advice.length)                                                  obj[k] = owner.installed[k] = tc.advise_member (obj, k, base, advice);
+      else if (current === base)                                               return;
+      else if (layered)                                                        {delete obj[k]; delete owner.installed[k];}
+      else                                                                     obj[k] = owner.installed[k] = base;
+    };
+
+    tc.reapply_advice = function (obj) {
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i)
+        for (var k in tc.installed_members (as[i])) tc.apply_advice (obj, k);
+    };
+
+    tc.add_advice = function (typeclass, kind, names, f) {
+      typeclass.advice = (typeclass.advice || []).concat ([{kind: kind, names: names === null || names === undefined ? null : [].concat (names), f: f}]);
+      return typeclass;
+    };
+
     tc.attachable = {
       members: {
         attach: function (obj) {
-          // Naively assume that we're not clobbering stuff. The /this/ reference will be bound to the object directly, not to one of the objects here.
-          for (var k in this.members) if (this.members[k] && this.members[k].apply) obj[k] = tc.bind (this.members[k], obj);
-                                      else                                          obj[k] = this.members[k];
+          // The /this/ reference will be bound to the object directly, not to one of the objects here. Typeclasses that have a replacement policy (which is every
+          // typeclass once bootstrapping is done) check for collisions first; see tc.detect_collisions below. Minimal definitions are checked before defaults
+          // are installed, since otherwise the defaults would always complete the definition. A typeclass installed on prototype layers can usually skip all of
+          // this and reuse the outcome for an earlier object; see tc.attach_shortcut below.
+          var record   = tc.attachment_of (obj, this),
+              layered  = this.uses_prototypes && tc.layers_supported,
+              checked  = !! (this.signatures && (this.checks_signatures || tc.check_all_signatures)),
+              shortcut = layered && ! record && tc.shortcut_node (obj, this);
+
+          if (shortcut && tc.attach_shortcut (obj, this, shortcut, checked)) {
+            if (this.advice || tc.has_advice (obj)) tc.reapply_advice (obj);
+            return;
+          }
+
+          if (this.replaceable)         tc.detect_collisions.apply        (this, [obj]);
+          if (this.minimal_definitions) tc.check_minimal_definition.apply (this, [obj]);
+          if (this.signatures)          tc.check_signatures.apply         (this, [obj]);
+
+          if (! record) record = tc.add_attachment (obj, {typeclass: this, installed: {}, displaced: {}, defaulted: {}, required_by: []});
+          record.explicit = true;
+
+          var layer = layered ? {} : null, layer_defaults = {};
+
+          // A checked record also checks members that other typeclasses provide for its signatures (see "Advice" above), if it has any signatures.
+          record.checked = false;
+          if (checked) for (var k in this.signatures) record.checked = true;
+
+          for (var k in this.members) tc.install_member (obj, record, k, checked ? tc.checked_member (this, k, this.members[k]) : this.members[k], layer);
+          for (var k in this.defaults)
+            if (obj[k] === undefined || tc.owns_member (obj, this, k))
+              if (tc.install_member (obj, record, k, checked ? tc.checked_member (this, k, this.defaults[k]) : this.defaults[k], layer)) layer_defaults[k] = true;
+              else                                                                                                                 record.defaulted[k] = true;
+
+          if (layer)    tc.push_layer (obj, record, layer, layer_defaults);
+          if (shortcut) tc.remember_shortcut (obj, record, shortcut, checked);
+          if (this.advice || tc.has_advice (obj)) tc.reapply_advice (obj);
         },
 
         detach: function (obj) {
-          // Assume that the members did not overwrite anything. Later on we will implement checking.
-          for (var k in this.members) delete obj[k];
+          // Only keys that this typeclass installed are touched. If something has since replaced one of our members, then that replacement now owns whatever we
+          // had displaced, so we hand it down to its record rather than restoring it underneath the replacement.
+          var record = tc.attachment_of (obj, this), installed;
+          if (! record) return;
+
+          for (var k in (installed = tc.installed_members (record)))
+            if (obj[k] !== installed[k]) {
+              for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i)
+                if (as[i].displaced[k] && as[i].displaced[k].value === installed[k])
+                  if (record.displaced[k]) as[i].displaced[k] = record.displaced[k];
+                  else                     delete as[i].displaced[k];
+            } else if (record.installed.hasOwnProperty (k))
+              if (tc.displaced_value (record, k).own) obj[k] = record.displaced[k].value;
+              else                                    delete obj[k];
+
+          // Layered members go away with the layer.
+          if (record.layer) tc.remove_layer (obj, this);
+
+          tc.remove_attachment (obj, record);
+
+          // Restored members may need advice, and removed advice (including signature checks) has to come off.
+          if (this.advice || record.checked || tc.has_advice (obj)) tc.reapply_advice (obj);
         }
       }
     };
@@ -77,23 +369,37 @@
 // The AddableWithHooks typeclass
 //
 // This typeclass allows hooks to be set when it is attached or detached from an object. The hooks have the option of throwing an error or triggering other
-// actions, but their return values are discarded.
+// actions, but their return values are discarded. If a hook or the attachment itself fails, then a typeclass that wasn't already on the object is detached
+// again and the typeclasses that its hooks brought along are released, so a typeclass that collides with an object, or whose constructor throws, leaves
+// nothing behind.
 
     tc.addable_with_hooks = {
       members: {
         add: function () {
           for (var i = 0, l = arguments.length; i < l; ++i) {
-            for (var j = 0, lh = this.before_add_hooks.length; j < lh; ++j) this.before_add_hooks[j].apply (this, [arguments[i]]);
-            this.attach (arguments[i]);
-            for (var j = 0, lh = this.after_add_hooks.length;  j < lh; ++j) this.after_add_hooks[j].apply (this, [arguments[i]]);
+            var existing = tc.attachment_of (arguments[i], this);
+            try {
+              for (var j = 0, lh = this.before_add_hooks.length; j < lh; ++j) this.before_add_hooks[j].apply (this, [arguments[i]]);
+              this.attach (arguments[i]);
+              for (var j = 0, lh = this.after_add_hooks.length;  j < lh; ++j) this.after_add_hooks[j].apply (this, [arguments[i]]);
+            } catch (e) {
+              if (! existing) {
+                this.detach (arguments[i]);
+                tc.release_dependencies (arguments[i], this);
+              }
+              throw e;
+            }
           }
         },
 
         remove: function () {
+          // A typeclass that is still required by others on the object stays; only then are its dependencies released. See "Removing dependencies" below.
           for (var i = 0, l = arguments.length; i < l; ++i) {
+            if (tc.still_required (arguments[i], this)) continue;
             for (var j = 0, lh = this.before_remove_hooks.length; j < lh; ++j) this.before_remove_hooks[j].apply (this, [arguments[i]]);
             this.detach (arguments[i]);
             for (var j = 0, lh = this.after_remove_hooks.length;  j < lh; ++j) this.after_remove_hooks[j].apply (this, [arguments[i]]);
+            tc.release_dependencies (arguments[i], this);
           }
         }
       }
@@ -122,8 +428,7 @@
     tc.is_introspective = {
       members: {
         collides_with: function (obj) {
-          for (var k in this.members) if (obj[k] !== undefined) return true;
-          return false;
+          return tc.colliding_members.apply (this, [obj]).length > 0;
         },
 
         implemented_on: function (obj) {
@@ -134,9 +439,16 @@
           // One exception: The empty typeclass is not implemented on anything. This is because the only reason one would have an empty typeclass is to
           // provide a constructor, which is a legitimate use. In this case, we cannot make any assumptions about whether the typeclass has been applied to an
           // object, so we must re-apply.
-          var any_members = false;
-          for (var k in this.members) if ((any_members = true) && obj[k] === undefined) return false;
-          return any_members;
+          //
+          // A typeclass made of defaults and minimal definitions (see "Superclasses and default members" below) has members of its own only in the sense that
+          // it fills them in, so it is implemented on an object that it has been added to, or one that has all of its defaults and one of its minimal
+          // definitions. If the typeclass declares signatures for its members, then the object's members have to fit them too (see "Member signatures" below).
+          var any_members = false, present = true;
+          for (var k in this.members)       if ((any_members = true) && obj[k] === undefined) present = false;
+          for (var k in this.defaults || {}) if ((any_members = true) && obj[k] === undefined) present = false;
+          if (this.minimal_definitions && this.minimal_definitions.length) present = (any_members = true) && present && tc.has_minimal_definition (obj, this);
+
+          return any_members && (present || !! tc.attachment_of (obj, this)) && ! (this.signatures && tc.signature_mismatches (obj, this).length);
         }
       }
     };
@@ -168,22 +480,35 @@
 // The bottom line is that in general, you need to be aware of the prerequisites of a typeclass before using it and you should be prepared to manually extend
 // the object beforehand using a separate typeclass.
 
-    tc.detect_collisions = function (obj) {
+    tc.colliding_members = function (obj) {
+      // A member collides if the object already has a value for it that this typeclass did not put there, unless that value is only a default or the
+      // typeclass has said that the member may be replaced. (A replaceable of /true/ means that every member may be.)
+      var result = [];
       for (var k in this.members)
-        if (obj[k] !== undefined) throw {error:     "tc.detect_collisions: Colliding attribute: " + k,
-                                         obj:       obj,
-                                         typeclass: this};
+        if (obj[k] !== undefined && ! tc.owns_member (obj, this, k) && ! tc.is_default_member (obj, k) &&
+            ! (this.replaceable && (this.replaceable === true || this.replaceable[k])))
+          result.push (k);
+      return result;
+    };
+
+    tc.detect_collisions = function (obj) {
+      var collisions = tc.colliding_members.apply (this, [obj]);
+      if (collisions.length) throw new tc.CollisionError ("tc.detect_collisions: Colliding attribute: " + collisions[0],
+                                                          {obj: obj, typeclass: this, members: collisions});
     };
 
     tc.requires = function () {
       var external_args = arguments;
 
       return function (obj) {
-        // Takes any number of typeclasses and ensures that each one exists.
+        // Takes any number of typeclasses and ensures that each one exists. If the members are there but don't fit their signatures, the error says which.
         for (var i = 0, l = external_args.length; i < l; ++i)
-          if (! external_args[i].implemented_on (obj)) throw {error:     "tc.requires: Object did not implement required typeclass.",
-                                                              object:    obj,
-                                                              typeclass: external_args[i]};
+          if (! external_args[i].implemented_on (obj)) {
+            var mismatches = external_args[i].signatures ? tc.signature_mismatches (obj, external_args[i]) : [];
+            throw new tc.MissingRequirementError ("tc.requires: Object did not implement required typeclass " + tc.name_of (external_args[i]) +
+                                                  (mismatches.length ? ": " + mismatches[0].member + " " + mismatches[0].problem : "."),
+                                                  {obj: obj, typeclass: this, requirement: external_args[i], mismatches: mismatches});
+          }
       };
     };
 
@@ -191,14 +516,430 @@
       var external_args = arguments;
 
       return function (obj) {
-        for (var i = 0, l = external_args.length; i < l; ++i)
+        // Besides adding what's missing, this records that /this/ typeclass requires each one. Adding a typeclass marks it as explicit, which is wrong when we
+        // are the ones adding it, so the flag is put back to what it was before (or false if the typeclass wasn't there at all).
+        for (var i = 0, l = external_args.length; i < l; ++i) {
+          var before   = tc.attachment_of (obj, external_args[i]),
+              explicit = before && before.explicit;
+
           if (! external_args[i].implemented_on (obj)) external_args[i].add (obj);
+
+          var record = tc.attachment_of (obj, external_args[i]);
+          if (record) {
+            record.explicit = before ? explicit : false;
+            if (tc.index_of (record.required_by, this) < 0) record.required_by.push (this);
+          }
+        }
+      };
+    };
+
+    tc.implies = function (a, b) {
+      // True if adding typeclass /a/ to an object always adds /b/ as well; that is, if a is b or brings or derives from it, possibly through other typeclasses.
+      if (a === b) return true;
+      for (var i = 0, bs = (a.brought || []).concat (a.superclasses || []), l = bs.length; i < l; ++i) if (tc.implies (bs[i], b)) return true;
+      return false;
+    };
+
+// Prototype-backed installation
+//
+// Normally attach() puts a bound copy of every method on every object, which is N times M closures for N objects and M methods. A typeclass can instead ask
+// for its methods to be installed on a prototype layer: a shared object that is spliced into the object's prototype chain, between the object and whatever its
+// prototype was. Layers are cached by the prototype they sit on, the typeclass, and the member names they contain, so all objects with the same combination
+// of typeclasses (added in the same order) share one chain of layers. For example:
+//
+//   mn.array_monad.install_on_prototype ();
+//   mn.array_monad.create ([1, 2]).hasOwnProperty ("mbind")  // => false
+//
+// Methods still behave as bound copies: a layer defines each method as a getter that binds it to the object the first time it is read from that object, so a
+// method taken off the object and called on its own still sees the object as /this/. Only the methods that are used get bound. Hooks, collisions, defaults
+// and removal all work as before. Non-function members, and methods that would have to replace a value on the object itself, are still installed on the
+// object, and assigning to a layered member puts the new value on the object as it would without the layer.
+//
+// Adding a typeclass to an object also costs checks against what the object already has. Their outcome depends only on the object's prototype and on its own
+// values for the typeclass's names, so each layer remembers what attaching the typeclass to an object with no such values of its own did, and later objects
+// like it get the same layer and record straight away. These shortcuts are kept per version of the typeclass, which changes whenever its members, defaults,
+// signatures, minimal definitions or replacement policy do. Hooks run as usual either way.
+//
+// This needs Object.getPrototypeOf, Object.defineProperty, and either Object.setPrototypeOf or __proto__; where those don't exist, typeclasses fall back to
+// bound copies.
+
+    tc.layers_supported = !! (Object.getPrototypeOf && Object.create && Object.defineProperty &&
+                              (Object.setPrototypeOf || {}.__proto__ === Object.prototype));
+    tc.layer_roots      = [];
+    tc.layer_count      = 0;
+
+    tc.changed = function (typeclass) {
+      // Called by everything that changes what attaching the typeclass does; see tc.shortcut_node.
+      typeclass.version = (typeclass.version || 0) + 1;
+      return typeclass;
+    };
+
+    tc.set_prototype = function (obj, prototype) {
+      if (Object.setPrototypeOf) Object.setPrototypeOf (obj, prototype);
+      else                       obj.__proto__ = prototype;
+    };
+
+    tc.layer_info = function (prototype) {
+      // Layers carry a non-enumerable description of themselves, so that the chain can be taken apart again later.
+      return prototype && Object.prototype.hasOwnProperty.call (prototype, "typeclass_layer") ? prototype.typeclass_layer : undefined;
+    };
+
+    tc.layer_node = function (prototype) {
+      // What is cached on top of a prototype: the layers (children) and shortcuts. A layer keeps them in its description; other prototypes have an entry in
+      // tc.layer_roots.
+      var info = tc.layer_info (prototype);
+      if (info) return info;
+      for (var i = 0, l = tc.layer_roots.length; i < l; ++i) if (tc.layer_roots[i].prototype === prototype) return tc.layer_roots[i];
+      tc.layer_roots.push (info = {prototype: prototype, children: {}, shortcuts: {}});
+      return info;
+    };
+
+    tc.layer_id = function (typeclass) {return typeclass.layer_id || (typeclass.layer_id = String (++tc.layer_count));};
+
+    tc.layer = function (prototype, typeclass, members, defaulted) {
+      // Finds or creates the layer for these members of this typeclass on top of /prototype/. The key includes the member names, which come out in the same
+      // order every time for the same typeclass. A cached layer whose methods have since been changed (e.g. by add_member) is replaced.
+      var children = tc.layer_node (prototype).children, key = tc.layer_id (typeclass);
+      for (var k in members) key += (defaulted[k] ? "|" : ",") + k;
+      var layer = children[key];
+      for (var k in members) if (layer && layer.typeclass_layer.members[k] !== members[k]) layer = undefined;
+      if (layer) return layer;
+
+      layer = children[key] = Object.create (prototype);
+      for (var k in members) tc.define_layered (layer, typeclass, k, members[k]);
+      Object.defineProperty (layer, "typeclass_layer", {value: {typeclass: typeclass, members: members, defaulted: defaulted, children: {}, shortcuts: {}}});
+      return layer;
+    };
+
+    tc.define_layered = function (layer, typeclass, k, f) {
+      // Reading the member from an object gives the object's bound copy; reading it from anything without a record (such as the layer) gives the method.
+      Object.defineProperty (layer, k, {enumerable: true, configurable: true, get: function () {
+        var record = tc.attachment_of (this, typeclass);
+        return record && record.layer && Object.prototype.hasOwnProperty.call (record.layer.members, k) ? tc.bound_member (record, k) : f;
+      }, set: function (value) {
+        Object.defineProperty (this, k, {value: value, writable: true, enumerable: true, configurable: true});
+      }});
+    };
+
+    tc.bound_member = function (record, k) {
+      // The bound copies are kept on the record, so that the object sees the same one each time.
+      var bound = record.bound || (record.bound = {});
+      return Object.prototype.hasOwnProperty.call (bound, k) ? bound[k] : bound[k] = tc.bind (record.layer.members[k], record.obj);
+    };
+
+    tc.layers_of = function (obj) {
+      // Returns the layers on obj from the bottom up, along with the prototype that they sit on.
+      for (var p = Object.getPrototypeOf (obj), layers = []; tc.layer_info (p); p = Object.getPrototypeOf (p)) layers.unshift (tc.layer_info (p));
+      return {base: p, layers: layers};
+    };
+
+    tc.rebuild_layers = function (obj, layers, base) {
+      for (var p = base, i = 0, l = layers.length; i < l; ++i) p = tc.layer (p, layers[i].typeclass, layers[i].members, layers[i].defaulted);
+      if (Object.getPrototypeOf (obj) !== p) tc.set_prototype (obj, p);
+      return p;
+    };
+
+    tc.push_layer = function (obj, record, members, defaulted) {
+      // Re-attaching a typeclass replaces its layer rather than adding a second one. The record ends up pointing at the layer's shared description.
+      var any = false;
+      for (var k in members) any = true;
+      if (! record.layer) {
+        // The common case: a new layer goes straight on top of whatever is there, with no need to take the chain apart.
+        if (! any) return;
+        var layer = tc.layer (Object.getPrototypeOf (obj), record.typeclass, members, defaulted);
+        tc.set_prototype (obj, layer);
+        record.obj = obj;
+        return record.layer = tc.layer_info (layer);
+      }
+
+      var chain = tc.layers_of (obj), layers = [];
+      for (var i = 0, l = chain.layers.length; i < l; ++i) if (chain.layers[i].typeclass !== record.typeclass) layers.push (chain.layers[i]);
+      if (any) layers.push ({typeclass: record.typeclass, members: members, defaulted: defaulted});
+      var top = tc.rebuild_layers (obj, layers, chain.base);
+      record.layer = any ? tc.layer_info (top) : undefined;
+      record.bound = undefined;
+    };
+
+    tc.remove_layer = function (obj, typeclass) {
+      var chain = tc.layers_of (obj), layers = [];
+      for (var i = 0, l = chain.layers.length; i < l; ++i) if (chain.layers[i].typeclass !== typeclass) layers.push (chain.layers[i]);
+      if (layers.length !== chain.layers.length) tc.rebuild_layers (obj, layers, chain.base);
+    };
+
+    // Shortcuts. tc.shortcut_node returns the node to look for a shortcut in (and remember one in) if the object has none of the typeclass's names of its
+    // own. Shortcuts aren't remembered from objects that already had a record, or whose record has bound copies, since those can't be shared.
+
+    tc.layer_names = function (typeclass) {
+      // Every name whose value on the object can change what attaching the typeclass does, worked out once per version.
+      if (typeclass.layer_names && typeclass.layer_names.version === typeclass.version) return typeclass.layer_names.names;
+
+      var names = [];
+      for (var k in typeclass.members)    names.push (k);
+      for (var k in typeclass.defaults)   names.push (k);
+      for (var k in typeclass.signatures) names.push (k);
+      for (var i = 0, ms = typeclass.minimal_definitions || [], l = ms.length; i < l; ++i) names = names.concat (ms[i]);
+      typeclass.layer_names = {version: typeclass.version, names: names};
+      return names;
+    };
+
+    tc.shortcut_node = function (obj, typeclass) {
+      for (var i = 0, names = tc.layer_names (typeclass), l = names.length; i < l; ++i) if (Object.prototype.hasOwnProperty.call (obj, names[i])) return;
+      return tc.layer_node (Object.getPrototypeOf (obj));
+    };
+
+    tc.shortcut_key = function (typeclass, checked) {return tc.layer_id (typeclass) + "@" + (typeclass.version || 0) + (checked ? "!" : "");};
+
+    tc.copy = function (o) {
+      var result = {};
+      for (var k in o) if (Object.prototype.hasOwnProperty.call (o, k)) result[k] = o[k];
+      return result;
+    };
+
+    tc.attach_shortcut = function (obj, typeclass, node, checked) {
+      // Returns true if there was a shortcut to take.
+      var shortcut = node.shortcuts[tc.shortcut_key (typeclass, checked)];
+      if (! shortcut) return false;
+
+      var record = tc.add_attachment (obj, {typeclass: typeclass, installed: tc.copy (shortcut.installed), displaced: tc.copy (shortcut.displaced),
+                                            defaulted: tc.copy (shortcut.defaulted), required_by: [], explicit: true, checked: shortcut.checked});
+      for (var k in shortcut.installed) obj[k] = shortcut.installed[k];
+      if (shortcut.layer) {
+        tc.set_prototype (obj, shortcut.layer);
+        record.layer = tc.layer_info (shortcut.layer);
+        record.obj   = obj;
+      }
+      return true;
+    };
+
+    tc.remember_shortcut = function (obj, record, node, checked) {
+      for (var k in record.installed) if (record.installed[k] && record.installed[k].apply) return;
+      node.shortcuts[tc.shortcut_key (record.typeclass, checked)] = {installed: tc.copy (record.installed), displaced: tc.copy (record.displaced),
+                                                                     defaulted: tc.copy (record.defaulted), checked: record.checked,
+                                                                     layer:     record.layer ? Object.getPrototypeOf (obj) : null};
+    };
+
+// Removing dependencies
+//
+// Typeclasses brought in by others are reference-counted: each attachment record lists the typeclasses that required it. Removing a typeclass takes it off
+// those lists, and any dependency left with an empty list that was never added explicitly is removed in turn (which may release further dependencies). A
+// typeclass that is still required by something else is not removed; it just stops counting as explicit, so it goes away along with the last thing that needs
+// it. tc.plan_removal works all of this out without changing anything, for a dry run:
+//
+//   xp.event_wrapper.plan_removal (e)  // => {removed: [event_wrapper, detects_mouse_button, ...], kept: [], restored: [], deleted: ["is_left_button", ...]}
+
+    tc.still_required = function (obj, typeclass) {
+      var record = tc.attachment_of (obj, typeclass);
+      if (! record || ! record.required_by.length) return false;
+      record.explicit = false;
+      return true;
+    };
+
+    tc.release_dependencies = function (obj, typeclass) {
+      for (var i = 0, as = tc.attachments_of (obj).slice (), l = as.length; i < l; ++i) {
+        var j = tc.index_of (as[i].required_by, typeclass);
+        if (j < 0) continue;
+        as[i].required_by.splice (j, 1);
+        if (! as[i].required_by.length && ! as[i].explicit && tc.attachment_of (obj, as[i].typeclass) === as[i]) as[i].typeclass.remove (obj);
+      }
+    };
+
+    tc.plan_removal = function (obj, typeclass) {
+      // Mirrors remove() and release_dependencies() on copies of the reference counts. Restored and deleted list the members that would be put back and
+      // deleted, respectively, ignoring any that have since been replaced by something else. Kept lists the dependencies that lose a reference but stay
+      // because something else still requires them, with what that is.
+      var plan = {removed: [], kept: [], restored: [], deleted: []}, as = tc.attachments_of (obj), required_by = [], explicit = [], released = [], installed;
+      for (var i = 0, l = as.length; i < l; ++i) {
+        required_by.push (as[i].required_by.slice ());
+        explicit.push    (as[i].explicit);
+      }
+
+      var visit = function (t) {
+        for (var i = 0, l = as.length; i < l && as[i].typeclass !== t; ++i);
+        if (i === l || tc.index_of (plan.removed, t) >= 0) return;
+        if (required_by[i].length) return plan.kept.push ({typeclass: t, required_by: required_by[i].slice ()});
+
+        plan.removed.push (t);
+        for (var k in (installed = tc.installed_members (as[i])))
+          if (obj[k] === installed[k]) (tc.displaced_value (as[i], k).own ? plan.restored : plan.deleted).push (k);
+
+        for (var j = 0; j < l; ++j) {
+          var n = tc.index_of (required_by[j], t);
+          if (n < 0) continue;
+          required_by[j].splice (n, 1);
+          released[j] = true;
+          if (! required_by[j].length && ! explicit[j]) visit (as[j].typeclass);
+        }
+      };
+
+      visit (typeclass);
+      for (var i = 0, l = as.length; i < l; ++i)
+        if (released[i] && required_by[i].length && tc.index_of (plan.removed, as[i].typeclass) < 0)
+          plan.kept.push ({typeclass: as[i].typeclass, required_by: required_by[i].slice ()});
+
+      if (obj.constructor_args !== undefined && ! tc.has_class (obj, plan.removed)) plan.deleted.push ("constructor_args");
+      return plan;
+    };
+
+// Superclasses and default members
+//
+// A typeclass may derive from others, in the way that Haskell's Ord derives from Eq. The superclass can provide defaults, which are members that are installed
+// only if nothing else provides them; for instance, Eq can define neq in terms of eq and vice versa. Because such mutually-defined defaults are useless on
+// their own, the superclass can also declare its minimal complete definitions, and adding it fails unless at least one of them is provided.
+//
+//   var eq = tc.typeclass.create ().add_default ("neq", function (x) {return ! this.eq (x);})
+//                                  .add_default ("eq",  function (x) {return ! this.neq (x);}).minimal_definition ("eq").minimal_definition ("neq");
+//   var point_eq = tc.typeclass.create ().derives_from (eq).add_member ("eq", function (p) {return this.x === p.x;});
+//   point_eq.create ({x: 1}).neq ({x: 2})  // => true
+
+    tc.has_minimal_definition = function (obj, typeclass) {
+      // True if at least one of the declared member sets is fully present, either on the object already or among the typeclass's own members.
+      for (var i = 0, l = typeclass.minimal_definitions.length, complete = ! l; ! complete && i < l; ++i) {
+        complete = true;
+        for (var j = 0, ms = typeclass.minimal_definitions[i], lm = ms.length; complete && j < lm; ++j)
+          complete = obj[ms[j]] !== undefined || typeclass.members[ms[j]] !== undefined;
+      }
+      return complete;
+    };
+
+    tc.check_minimal_definition = function (obj) {
+      if (! tc.has_minimal_definition (obj, this))
+        throw new tc.MinimalDefinitionError ("tc.check_minimal_definition: Object provides none of the minimal definitions", {obj: obj, typeclass: this});
+    };
+
+// Member signatures
+//
+// Members are only checked for existence unless the typeclass declares their signatures. A signature gives a constraint for each argument (so its length is
+// the member's arity; null instead of a list leaves the arguments unchecked) and optionally one for the return value. A constraint is null (anything goes), a
+// typeof name such as "number" or "string" (boxed values count, and "array" works too), a typeclass that must be implemented on the value, or any other
+// function, which is a predicate. For example:
+//
+//   var ord = tc.typeclass.create ().named ("ord").signature ("compare", [null], "number");
+//
+// Signatures are checked when the typeclass is added, against whatever will end up on the object: the typeclass's own members, members that something else
+// already provides, and defaults. A member that takes more arguments than its signature allows fails at this point. (Taking fewer is fine; JavaScript just
+// ignores the rest.) implemented_on and tc.requires use the same check, so a typeclass isn't considered present if its members have the wrong shape.
+//
+// Arguments and return values can only be checked when the member is called, so that is opt-in. A typeclass in checked mode installs wrapped members that
+// check every call, and tc.check_all_signatures turns checked mode on for every typeclass added from then on. Members that other typeclasses provide for
+// its signatures are checked too, such as an instance's compare for ord; they are wrapped the way advice is (see "Advice" above), and unwrapped again when the
+// checked typeclass is removed. The errors name the typeclass and member and carry the object:
+//
+//   ord.check_signatures ().add_member ("compare", function (x) {return "less";}).create ({}).compare (1)
+//   // throws a tc.SignatureError: "tc.signature: compare of ord returned less, which is not number (on [object Object])"
+
+    tc.check_all_signatures = false;
+
+    tc.name_of = function (typeclass) {return typeclass && typeclass.typeclass_name || "an anonymous typeclass";};
+
+    tc.label = function (x) {
+      // A short description of a value for error messages. Some objects can't be converted to strings at all.
+      try       {var s = String (x);}
+      catch (e) {s = Object.prototype.toString.call (x);}
+      return s.length > 40 ? s.substr (0, 37) + "..." : s;
+    };
+
+    tc.satisfies = function (x, constraint) {
+      if (constraint === null || constraint === undefined) return true;
+      if (constraint.charAt)                                return typeof x === constraint ||
+                                                                   Object.prototype.toString.call (x) === "[object " + constraint.charAt (0).toUpperCase () +
+                                                                                                                      constraint.substr (1) + "]";
+      if (constraint.implemented_on)                        return x !== null && x !== undefined && constraint.implemented_on (x);
+      return !! constraint (x);
+    };
+
+    tc.show_constraint = function (constraint) {
+      return constraint === null || constraint === undefined ? "anything" : constraint.charAt ? constraint :
+             constraint.implemented_on ? tc.name_of (constraint) : "accepted by " + (constraint.name || "a predicate");
+    };
+
+    tc.signature_mismatch = function (signature, f) {
+      // Returns a description of what is wrong, or null. Missing members are the minimal definition's business, not ours.
+      if (f === undefined)                                     return null;
+      if (! f || ! f.apply)                                    return "is not a function";
+      if (signature.args && f.length > signature.args.length) return "takes " + f.length + " arguments, but its signature has " + signature.args.length;
+      return null;
+    };
+
+    tc.signature_mismatches = function (obj, typeclass) {
+      // Checks the members already on obj against the typeclass's signatures.
+      var result = [];
+      for (var k in typeclass.signatures) {
+        var problem = tc.signature_mismatch (typeclass.signatures[k], tc.member_function (obj, k));
+        if (problem) result.push ({member: k, problem: problem});
+      }
+      return result;
+    };
+
+    tc.check_signatures = function (obj) {
+      for (var k in this.signatures) {
+        var f       = this.members[k] !== undefined ? this.members[k] :
+                      obj[k] !== undefined && ! tc.owns_member (obj, this, k) ? tc.member_function (obj, k) : this.defaults[k],
+            problem = tc.signature_mismatch (this.signatures[k], f);
+
+        if (problem) throw new tc.SignatureError ("tc.check_signatures: " + k + " of " + tc.name_of (this) + " " + problem + " (on " + tc.label (obj) + ")",
+                                                  {obj: obj, typeclass: this, member: k});
+      }
+    };
+
+    tc.checked_member = function (typeclass, k, f) {
+      // Wraps f so that each call is checked against k's signature. The wrapper is kept on the signature, so that objects share it (which matters for
+      // prototype layers) and re-adding the typeclass doesn't count as a change.
+      var signature = typeclass.signatures[k];
+      if (! signature || ! f || ! f.apply)                          return f;
+      if (signature.checked && signature.checked.unchecked === f) return signature.checked;
+
+      var checked = signature.checked = function () {
+        var self = this, args = arguments;
+        return tc.check_call (typeclass, k, this, arguments, function () {return f.apply (self, args);});
       };
+
+      checked.unchecked = f;
+      return checked;
     };
 
-    tc.constructor = tc.destructor = function (f) {
-      // Wraps f so that it can be used as an add_hook or remove_hook but it behaves as a constructor or destructor.
-      return function (obj) {f.apply (obj, [this]);};
+    tc.signature_advice = function (typeclass, k) {
+      // Around advice that checks calls to a member that another typeclass provides. It is kept on the signature, so that the advice on an object only changes
+      // when the checked typeclasses do.
+      var signature = typeclass.signatures[k];
+      return signature.advice = signature.advice || {kind: "around", names: [k], f: function (name, args, proceed) {
+        return tc.check_call (typeclass, k, this, args, proceed);
+      }};
+    };
+
+    tc.check_call = function (typeclass, k, obj, args, call) {
+      // Checks the arguments against k's signature, makes the call, and checks the result.
+      var signature = typeclass.signatures[k];
+      var fail = function (problem) {
+        throw new tc.SignatureError ("tc.signature: " + k + " of " + tc.name_of (typeclass) + " " + problem + " (on " + tc.label (obj) + ")",
+                                     {obj: obj, typeclass: typeclass, member: k});
+      };
+
+      if (signature.args && args.length !== signature.args.length) fail ("expects " + signature.args.length + " arguments but got " + args.length);
+      for (var i = 0, l = args.length; i < l; ++i)
+        if (signature.args && ! tc.satisfies (args[i], signature.args[i]))
+          fail ("was given " + tc.label (args[i]) + " as argument " + (i + 1) + ", which is not " + tc.show_constraint (signature.args[i]));
+
+      var result = call ();
+      if (! tc.satisfies (result, signature.returns)) fail ("returned " + tc.label (result) + ", which is not " + tc.show_constraint (signature.returns));
+      return result;
+    };
+
+    tc.constructor = function (f) {
+      // Wraps f so that it can be used as an add_hook but it behaves as a constructor. Errors of our own pass through; anything else is wrapped, so that it is
+      // clear which typeclass's constructor failed on which object.
+      return function (obj) {
+        try       {f.apply (obj, [this]);}
+        catch (e) {throw e instanceof tc.Error ? e : new tc.ConstructorError ("tc.constructor: Constructor of " + tc.name_of (this) + " failed: " +
+                                                                              (e && e.message || e), {obj: obj, typeclass: this, cause: e});}
+      };
+    };
+
+    tc.destructor = function (f) {
+      return function (obj) {
+        try       {f.apply (obj, [this]);}
+        catch (e) {throw e instanceof tc.Error ? e : new tc.DestructorError ("tc.destructor: Destructor of " + tc.name_of (this) + " failed: " +
+                                                                             (e && e.message || e), {obj: obj, typeclass: this, cause: e});}
+      };
     };
 
 // The Typeclass typeclass
@@ -208,24 +949,66 @@
 
     tc.typeclass = {
       members: {
-        brings:          function ()                        {this.before_add_hooks.push (tc.brings.apply (this, arguments)); return this;},
-        requires:        function ()                        {this.before_add_hooks.push (tc.requires.apply (this, arguments)); return this;},
+        requires:        function ()                        {this.required = (this.required || []).concat (Array.prototype.slice.call (arguments));
+                                                             this.before_add_hooks.push (tc.requires.apply (this, arguments)); return this;},
         add_constructor: function (f)                       {this.after_add_hooks.push (tc.constructor (f)); return this;},
         add_destructor:  function (f)                       {this.before_remove_hooks.push (tc.destructor (f)); return this;},
-        add_member:      function (name, value)             {this.members[name] = value; return this;},
-        alias:           function (new_name, existing_name) {this.members[new_name] = this.members[existing_name]; return this;},
+        add_member:      function (name, value)             {this.members[name] = value; return tc.changed (this);},
+        alias:           function (new_name, existing_name) {this.members[new_name] = this.members[existing_name]; return tc.changed (this);},
+
+        // Collisions are errors unless the typeclass opts in, either for specific members or for all of them. Replaced values are restored on remove().
+        allow_replacement:      function () {for (var i = 0, l = arguments.length; i < l; ++i) this.replaceable[arguments[i]] = true; return tc.changed (this);},
+        allow_all_replacements: function () {this.replaceable = true; return tc.changed (this);},
+
+        // Switches between bound copies on each object (the default) and shared prototype layers; see "Prototype-backed installation" below.
+        install_on_prototype:   function (flag) {this.uses_prototypes = flag === undefined || !! flag; return this;},
+
+        // Names are used in error messages. Signatures and checked mode are described in "Member signatures" above.
+        named:                  function (name) {this.typeclass_name = name; return this;},
+        signature:              function (name, args, returns) {this.signatures[name] = {args: args, returns: returns}; return tc.changed (this);},
+        check_signatures:       function (flag) {this.checks_signatures = flag === undefined || !! flag; return tc.changed (this);},
+
+        // Attributes that shouldn't be serialized, usually because a constructor creates them; see "Serialization" below. The name is a reserved word in older
+        // JavaScript implementations, so call it as t['transient'] (...).
+        'transient':            function () {this.transients = (this.transients || []).concat (Array.prototype.slice.call (arguments)); return this;},
+
+        // Advice on members that other typeclasses provide; see "Advice" above. Names are a member name, a list of them, or null for every member.
+        before:                 function (names, f) {return tc.add_advice (this, "before", names, f);},
+        after:                  function (names, f) {return tc.add_advice (this, "after",  names, f);},
+        around:                 function (names, f) {return tc.add_advice (this, "around", names, f);},
+
+        // A dry run of remove (obj); see tc.plan_removal.
+        plan_removal:           function (obj) {return tc.plan_removal (obj, this);},
+
+        // Superclasses are added after this typeclass's members but before any of its constructors run. Defaults fill in members that nothing else provides,
+        // and each call to minimal_definition declares one alternative set of members that must be provided for the typeclass to be added at all.
+        add_default:        function (name, value) {this.defaults[name] = value; return tc.changed (this);},
+        minimal_definition: function ()            {this.minimal_definitions.push (Array.prototype.slice.call (arguments)); return tc.changed (this);},
+        derives_from:       function () {
+          this.superclasses = (this.superclasses || []).concat (Array.prototype.slice.call (arguments));
+          this.after_add_hooks.unshift (tc.brings.apply (this, arguments));
+          return this;
+        },
+
+        brings:          function () {
+          // The brought typeclasses are also recorded, so that other code can find out which typeclasses imply which others. See tc.implies below.
+          this.brought = (this.brought || []).concat (Array.prototype.slice.call (arguments));
+          this.before_add_hooks.push (tc.brings.apply (this, arguments));
+          return this;
+        },
 
         remove_member:   function (name) {
           var member = this.members[name];
           delete this.members[name];
+          tc.changed (this);
           return member;
         },
 
         create:          function (obj) {
           // A convenient way to create an instance of a typeclass. The object is optional; if not provided, then a regular old Object will be used. In any
           // case, the value will be boxed if necessary. This may be required because JavaScript has flexible primitives. For more information, see the comments
-          // on the tc.box function.
-          if (! obj) obj = new Object ();
+          // on the tc.box function. (Falsy primitives such as 0 and "" are values too, so only a missing object is replaced.)
+          if (obj === undefined || obj === null) obj = new Object ();
           obj = tc.box (obj);
           this.add (obj);
           return obj;
@@ -242,7 +1025,11 @@
     // OK, so build the typeclass from the ground up, and then make sure that it is a member of its own typeclass.
     tc.typeclass.brings (tc.attachable, tc.addable_with_hooks, tc.is_introspective);
     tc.typeclass.add_constructor (function () {
-      if (! this.members) this.members = {};
+      if (! this.members)             this.members             = {};
+      if (! this.replaceable)         this.replaceable         = {};
+      if (! this.defaults)            this.defaults            = {};
+      if (! this.minimal_definitions) this.minimal_definitions = [];
+      if (! this.signatures)          this.signatures          = {};
     });
     tc.typeclass.add (tc.typeclass);
 
@@ -269,9 +1056,19 @@
         return result.create (new_object);
       });
 
+      // constructor_args belongs to the class, so it goes when the last class on the object is removed.
+      result.is_class = true;
+      result.after_remove_hooks.push (function (obj) {if (! tc.has_class (obj, [])) delete obj.constructor_args;});
       return result;
     };
 
+    tc.has_class = function (obj, except) {
+      // True if some class other than those in /except/ is still attached to obj.
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i)
+        if (as[i].typeclass.is_class && tc.index_of (except, as[i].typeclass) < 0) return true;
+      return false;
+    };
+
     // There are two ways one could go about producing the proper class for the Typeclass typeclass. Below, I first create a class that creates regular objects,
     // and then indicate that it brings along the Typeclass typeclass. Alternatively, I could have based my objects on the typeclass's /create/ method, like
     // this:
@@ -290,3 +1087,439 @@
     //   var my_instance  = my_typeclass ();
 
     tc.typeclass_ctor = tc.class_generator ().brings (tc.typeclass);
+
+// Logging, memoizing and timing
+//
+// Some advice that is generally useful (see "Advice" above). tc.logged traces every call on an object, with its arguments and what it returned or threw, and
+// sends each line to tc.logged.log, which you can replace:
+//
+//   tc.logged.add (p = point.create ({x: 3, y: 4}));
+//   p.norm ()  // logs "[object Object].norm () returned 5"
+//
+// tc.memoized (names...) makes a typeclass that caches the results of the named members by their arguments, which are compared with ===; it is only correct for
+// members whose results depend on nothing else. The cache lasts as long as the advice does. tc.timed (names, report) makes a typeclass that calls report with
+// the member's name and the number of milliseconds each call took; names may be null for every member.
+
+    tc.logged = tc.typeclass.create ().around (null, function (name, args, proceed) {
+      // Describing values can call their members (toString, for instance). Those calls aren't logged, since otherwise a logged toString would never finish.
+      if (tc.logged.describing) return proceed ();
+      try       {var result = proceed ();}
+      catch (e) {tc.logged.trace (this, name, args, "threw", e); throw e;}
+      tc.logged.trace (this, name, args, "returned", result);
+      return result;
+    });
+
+    tc.logged.log = function (line) {if (typeof console !== "undefined" && console.log) console.log (line);};
+
+    tc.logged.trace = function (obj, name, args, outcome, value) {
+      tc.logged.describing = true;
+      try     {for (var labels = [], i = 0, l = args.length; i < l; ++i) labels.push (tc.label (args[i]));
+               var line = tc.label (obj) + "." + name + " (" + labels.join (", ") + ") " + outcome + " " + tc.label (value);}
+      finally {tc.logged.describing = false;}
+      tc.logged.log (line);
+    };
+
+    tc.memoized = function () {
+      return tc.typeclass.create ().around (Array.prototype.slice.call (arguments), function (name, args, proceed, state) {
+        var cache = state.cache = state.cache || [];
+        for (var i = 0, l = cache.length; i < l; ++i) if (tc.same_elements (cache[i].args, args)) return cache[i].result;
+        var result = proceed ();
+        cache.push ({args: Array.prototype.slice.call (args), result: result});
+        return result;
+      });
+    };
+
+    tc.timed = function (names, report) {
+      return tc.typeclass.create ().around (names, function (name, args, proceed) {
+        var start = new Date ().getTime ();
+        try     {return proceed ();}
+        finally {report.apply (this, [name, new Date ().getTime () - start]);}
+      });
+    };
+
+// Describing objects and typeclasses
+//
+// When something goes wrong it helps to be able to ask what an object is made of. tc.describe lists the typeclasses on an object in the order they were added,
+// whether each one was added explicitly or only brought in by others (and by which), how many hooks it has, and which typeclass supplied each of the object's
+// members. tc.provider_of answers the last question for a single member:
+//
+//   tc.provider_of (mn.array_monad.create ([1, 2]), "fold") === prelude.array_instances  // => true
+//
+// tc.graph works on typeclasses instead of objects. It follows brings, derives_from and requires from a typeclass and returns the graph as plain data, which
+// can be passed to JSON.stringify; tc.graph.dot turns that into Graphviz input. For readable output the typeclasses need names. Each file names the
+// typeclasses in its namespace after their paths (tc.typeclass, mn.array_monad and so on) by calling tc.name_typeclasses; typeclasses of your own can be named
+// with named ().
+
+    tc.is_typeclass = function (x) {return !! (x && x.members && x.attach && x.add);};
+
+    tc.name_typeclasses = function (namespace, prefix) {
+      // Typeclasses that already have names keep them. The names are stable, so they are also registered for serialization (see below).
+      for (var k in namespace)
+        if (tc.is_typeclass (namespace[k])) {
+          if (! namespace[k].typeclass_name)        namespace[k].typeclass_name = prefix + "." + k;
+          if (! tc.registered_name (namespace[k])) tc.register (namespace[k].typeclass_name, namespace[k]);
+        }
+    };
+
+    tc.provider_of = function (obj, k) {
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; obj[k] !== undefined && i < l; ++i)
+        if (tc.installed_value (as[i], k) === obj[k]) return as[i].typeclass;
+    };
+
+    tc.describe = function (obj) {
+      var result = {typeclasses: [], members: {}, constructor_args: obj.constructor_args};
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i) {
+        var t = as[i].typeclass, installed = tc.installed_members (as[i]), required_by = [];
+        for (var j = 0, lr = as[i].required_by.length; j < lr; ++j) required_by.push (tc.name_of (as[i].required_by[j]));
+
+        result.typeclasses.push ({typeclass:   t,
+                                  name:        tc.name_of (t),
+                                  explicit:    !! as[i].explicit,
+                                  required_by: required_by,
+                                  hooks:       {before_add:    (t.before_add_hooks    || []).length,
+                                                after_add:     (t.after_add_hooks     || []).length,
+                                                before_remove: (t.before_remove_hooks || []).length,
+                                                after_remove:  (t.after_remove_hooks  || []).length}});
+
+        for (var k in installed)
+          if (obj[k] === installed[k]) result.members[k] = {typeclass:  t,
+                                                            from:       tc.name_of (t),
+                                                            is_default: !! (as[i].defaulted[k] || as[i].layer && as[i].layer.defaulted[k]),
+                                                            layered:    ! as[i].installed.hasOwnProperty (k)};
+      }
+      return result;
+    };
+
+    tc.graph = function (typeclass) {
+      // Nodes are numbered in the order they are reached. Anonymous typeclasses are labelled with their numbers.
+      var typeclasses = [], result = {nodes: [], edges: []}, kinds = {brings: "brought", derives_from: "superclasses", requires: "required"};
+
+      var visit = function (t) {
+        var id = tc.index_of (typeclasses, t);
+        if (id >= 0) return id;
+
+        id = typeclasses.push (t) - 1;
+        result.nodes.push ({id: id, name: t.typeclass_name || "anonymous " + id});
+        for (var kind in kinds)
+          for (var i = 0, ts = t[kinds[kind]] || [], l = ts.length; i < l; ++i) result.edges.push ({from: id, to: visit (ts[i]), kind: kind});
+        return id;
+      };
+
+      visit (typeclass);
+      return result;
+    };
+
+    tc.graph.dot = function (typeclass) {
+      // Accepts either a typeclass or a graph that tc.graph has already made. Derivation is drawn dashed and requirement dotted.
+      var graph = tc.is_typeclass (typeclass) ? tc.graph (typeclass) : typeclass, styles = {brings: "solid", derives_from: "dashed", requires: "dotted"},
+          quote = function (s) {return '"' + String (s).replace (/["\\]/g, "\\$&") + '"';},
+          lines = ["digraph typeclasses {"];
+
+      for (var i = 0, l = graph.nodes.length; i < l; ++i) lines.push ("  n" + graph.nodes[i].id + " [label=" + quote (graph.nodes[i].name) + "];");
+      for (var i = 0, l = graph.edges.length; i < l; ++i)
+        lines.push ("  n" + graph.edges[i].from + " -> n" + graph.edges[i].to + " [label=" + quote (graph.edges[i].kind) + ", style=" +
+                    styles[graph.edges[i].kind] + "];");
+
+      lines.push ("}");
+      return lines.join ("\n");
+    };
+
+// Serialization
+//
+// JSON.stringify on an object with typeclasses gives you its bound members and constructor_args, and nothing to rebuild it from. tc.serialize instead records
+// the object's own data, its constructor_args, and the names of the typeclasses that were added to it explicitly (those brought in by others come back with
+// them). tc.deserialize rebuilds the data, puts constructor_args back, and replays add for each typeclass in the original order, so constructors run again:
+//
+//   var text = tc.serialize (mn.array_monad.create ([1, 2]));
+//   tc.deserialize (text).mbind (function (x) {return mn.array_monad.create ([x, x]);})  // => [1, 1, 2, 2]
+//
+// Typeclasses are found by name in a registry. The library's own typeclasses are registered under their names (mn.array_monad and so on); register your own
+// with tc.register before serializing anything that uses them, and under the same names wherever you deserialize. Registered objects that aren't typeclasses,
+// such as mn.maybe_monad.nothing, are written as references and come back as the same object.
+//
+// Arrays, plain objects, boxed primitives and errors can be serialized, to any depth; installed members, the attachment records and anything a typeclass has
+// declared transient (typically attributes its constructor creates, which the replay recreates) are left out. Functions, other kinds of objects, unregistered
+// typeclasses and cycles can't be written, and cause a tc.SerializationError. An object reachable along two paths is written twice and comes back as two.
+//
+// An error is written with the name of its class, its message, its stack and its own fields (such as the /cause/ of a tc.ConstructorError), and comes back as
+// an instance of the same class with the original stack. The class is looked up in the registry and then in tc.error_classes, which has the standard classes
+// and every class made with tc.error_class; register other Error subclasses as you would a typeclass.
+// Serialized text may come from anywhere, so tc.deserialize refuses to set __proto__ rather than let the text choose the prototype of what it rebuilds.
+
+    tc.SerializationError = tc.error_class ("tc.SerializationError", tc.Error);  // value: what couldn't be written or read
+
+    tc.registry = {};
+
+    tc.register = function (name, x) {
+      if (tc.registry.hasOwnProperty (name) && tc.registry[name] !== x)
+        throw new tc.SerializationError ("tc.register: " + name + " is already registered", {value: x, existing: tc.registry[name]});
+      tc.registry[name] = x;
+      return x;
+    };
+
+    tc.registered_name = function (x) {
+      for (var k in tc.registry) if (tc.registry.hasOwnProperty (k) && tc.registry[k] === x) return k;
+    };
+
+    tc.is_transient = function (obj, k) {
+      if (k === tc.attachments_key || k === "constructor_args" || k === tc.box.test_attribute) return true;
+      for (var i = 0, as = tc.attachments_of (obj), l = as.length; i < l; ++i) if (tc.index_of (as[i].typeclass.transients || [], k) >= 0) return true;
+      // Installed members are left out whether or not they are functions, since replaying add installs them again.
+      return tc.provider_of (obj, k) !== undefined;
+    };
+
+    tc.kind_of = function (x) {
+      // The kinds of object that we know how to rebuild. Prototype layers don't count as a different kind.
+      var kind = Object.prototype.toString.call (x).slice (8, -1).toLowerCase (), prototype = tc.layers_supported ? tc.layers_of (x).base : null;
+      if (kind === "array" || kind === "number" || kind === "string" || kind === "boolean") return kind;
+      if (kind === "error" || x instanceof Error)                                           return "error";
+      if (kind === "object" && (! prototype || prototype === Object.prototype || prototype === null)) return kind;
+    };
+
+    tc.encode = function (x, path) {
+      // Primitives are written as they are; everything else becomes a record with a kind.
+      if (x === undefined)                                                 return {undefined: true};
+      if (x === null || typeof x !== "object" && typeof x !== "function") return x;
+
+      var name = tc.registered_name (x);
+      if (name !== undefined) return {ref: name};
+
+      var kind = tc.kind_of (x);
+      if (! kind || x.apply) throw new tc.SerializationError ("tc.serialize: Can't serialize " + tc.label (x), {value: x});
+      if (tc.index_of (path = path || [], x) >= 0) throw new tc.SerializationError ("tc.serialize: Cycle through " + tc.label (x), {value: x});
+      path.push (x);
+
+      var result = {kind: kind, fields: {}}, indexed = kind === "array" || kind === "string";
+      if      (kind === "array")  for (var items = result.items = [], i = 0, l = x.length; i < l; ++i) items.push (tc.encode (x[i], path));
+      else if (kind === "error")  tc.encode_error (x, result);
+      else if (kind !== "object") result.value = x.valueOf ();
+
+      for (var k in x)
+        if (Object.prototype.hasOwnProperty.call (x, k) && ! (indexed && /^\d+$/.test (k)) && ! (kind === "error" && k === "message") && ! tc.is_transient (x, k))
+          result.fields[k] = tc.encode (x[k], path);
+
+      for (var i = 0, as = tc.attachments_of (x), l = as.length; i < l; ++i)
+        if (as[i].explicit) {
+          if ((name = tc.registered_name (as[i].typeclass)) === undefined)
+            throw new tc.SerializationError ("tc.serialize: " + tc.name_of (as[i].typeclass) + " is not registered", {value: as[i].typeclass});
+          (result.typeclasses = result.typeclasses || []).push (name);
+        }
+
+      if      (x.constructor_args === x)         result.self_args        = true;
+      else if (x.constructor_args !== undefined) result.constructor_args = tc.encode (x.constructor_args, path);
+
+      path.pop ();
+      return result;
+    };
+
+    tc.error_class_name = function (c) {
+      var name = tc.registered_name (c);
+      if (name !== undefined) return name;
+      for (var k in tc.error_classes) if (tc.error_classes.hasOwnProperty (k) && tc.error_classes[k] === c) return k;
+    };
+
+    tc.encode_error = function (x, result) {
+      // Messages and stacks are usually not enumerable, so they are written separately from the fields.
+      if ((result.error_class = tc.error_class_name (x.constructor)) === undefined)
+        throw new tc.SerializationError ("tc.serialize: The class of " + tc.label (x) + " is not registered", {value: x});
+      result.message = String (x.message);
+      if (typeof x.stack === "string") result.stack = x.stack;
+    };
+
+    tc.decode_error = function (x) {
+      var c = tc.registry.hasOwnProperty (x.error_class) ? tc.registry[x.error_class] :
+              tc.error_classes.hasOwnProperty (x.error_class) ? tc.error_classes[x.error_class] : undefined;
+      if (! c || ! c.apply) throw new tc.SerializationError ("tc.deserialize: " + x.error_class + " is not a registered error class", {value: x});
+
+      var result = new c (x.message);
+      if (x.stack !== undefined) result.stack = x.stack;
+      return result;
+    };
+
+    tc.decode = function (x) {
+      if (x === null || typeof x !== "object") return x;
+      if (x.undefined)                         return undefined;
+      if (x.ref !== undefined) {
+        if (! tc.registry.hasOwnProperty (x.ref)) throw new tc.SerializationError ("tc.deserialize: " + x.ref + " is not registered", {value: x});
+        return tc.registry[x.ref];
+      }
+
+      var result = x.kind === "array"   ? [] : x.kind === "object" ? {} :
+                   x.kind === "number"  ? new Number (x.value) : x.kind === "string" ? new String (x.value) : x.kind === "boolean" ? new Boolean (x.value) :
+                   x.kind === "error"   ? tc.decode_error (x) : undefined;
+      if (! result) throw new tc.SerializationError ("tc.deserialize: Unknown kind of value", {value: x});
+
+      for (var i = 0, items = x.items || [], l = items.length; i < l; ++i) result.push (tc.decode (items[i]));
+      for (var k in x.fields)
+        if      (k === "__proto__")                                   throw new tc.SerializationError ("tc.deserialize: Refusing to set __proto__", {value: x});
+        else if (Object.prototype.hasOwnProperty.call (x.fields, k)) result[k] = tc.decode (x.fields[k]);
+
+      if      (x.self_args)                      result.constructor_args = result;
+      else if (x.constructor_args !== undefined) result.constructor_args = tc.decode (x.constructor_args);
+
+      for (var i = 0, ts = x.typeclasses || [], l = ts.length; i < l; ++i) tc.decode ({ref: ts[i]}).add (result);
+      return result;
+    };
+
+    tc.serialize   = function (x)    {return JSON.stringify (tc.encode (x));};
+    tc.deserialize = function (text) {return tc.decode (typeof text === "string" ? JSON.parse (text) : text);};
+
+    tc.name_typeclasses (tc, "tc");
+
+// Packages
+//
+// Each file defines a global (see "Modules" below), which is simple but means that everything shares one flat namespace. Packages are an alternative. A package
+// has a hierarchical name, a list of the packages it imports, and a definition function that receives the imports and returns what the package exports:
+//
+//   tc['package'] ("com.example.geometry", "com.spencertipping.ja.tc::<typeclass>", function (imports) {
+//     return {point: imports.typeclass.create ().add_member ("norm", function () {return Math.sqrt (this.x * this.x + this.y * this.y);})};
+//   });
+//
+//   tc.using ("com.example.geometry::<point>, com.spencertipping.ja.mn", function (imports) {
+//     var p = imports.point.create ({x: 3, y: 4});
+//     ...
+//   });
+//
+// The import list is a comma-separated string, and each import names its package exactly once:
+//
+//   a.b.c           binds the exports of a.b.c to c
+//   a.b.c::<x, y>   binds the exports x and y of a.b.c to x and y
+//   a.b.c::x        the same, for a single export
+//   a.b.c::*        binds every export of a.b.c under its own name
+//
+// The imports arrive as properties of one object, so with ES2015 you can destructure them: function ({point, mn}) {...}. Nothing is evaluated as code. If a name
+// isn't a package itself but has packages under it, importing it gives an object of those packages, nested by name. Packages are defined on first use, after
+// the packages they import; tc.package_order gives that order for an import list without defining anything. An import cycle, a missing package or export, two
+// imports bound to the same name, or two different packages registered under one name is a tc.PackageError. Each file in the library registers its namespace
+// as a package: com.spencertipping.ja.tc, com.spencertipping.ja.mn and so on.
+//
+// package is a reserved word in older JavaScript implementations, so the function is tc['package'] and the errors carry the package as e['package'].
+
+    tc.PackageError = tc.error_class ("tc.PackageError", tc.Error);  // package: the package involved, if any; binding: the name that two imports share
+
+    tc.packages = {};
+
+    tc['package'] = function (name, imports, definition) {
+      // The import list is optional. Registering the same definition twice (say, because a file was loaded twice) is harmless.
+      if (definition === undefined) {
+        definition = imports;
+        imports    = "";
+      }
+
+      if (! /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test (name))
+        throw new tc.PackageError ("tc['package']: Invalid package name " + name, {'package': name});
+      if (tc.packages.hasOwnProperty (name) && tc.packages[name].definition !== definition)
+        throw new tc.PackageError ("tc['package']: " + name + " is already defined", {'package': name});
+
+      if (! tc.packages.hasOwnProperty (name)) tc.packages[name] = {name: name, imports: tc.parse_imports (imports), definition: definition, defined: false};
+      return name;
+    };
+
+    tc.parse_imports = function (spec) {
+      // Splits on commas outside of <...>. Each import becomes {name, names}, where names is null for the whole package and "*" for all of its exports.
+      var result = [], pattern = /^\s*([\w$.]+)\s*(?:::\s*(?:<([^>]*)>|([\w$]+|\*)))?\s*(?:,|$)/, rest = spec || "", match;
+      while (rest.replace (/^\s+/, "").length) {
+        if (! (match = pattern.exec (rest))) throw new tc.PackageError ("tc.using: Can't parse imports: " + rest, {imports: spec});
+        result.push ({name:  match[1],
+                      names: match[2] !== undefined ? match[2].replace (/^\s+|\s+$/g, "").split (/\s*,\s*/) : match[3] || null});
+        rest = rest.substr (match[0].length);
+      }
+      return result;
+    };
+
+    tc.packages_under = function (name) {
+      var result = [];
+      for (var k in tc.packages) if (tc.packages.hasOwnProperty (k) && k.substr (0, name.length + 1) === name + ".") result.push (k);
+      return result;
+    };
+
+    tc.package_order = function (imports) {
+      // Depth-first, so that each package comes after everything it imports. /path/ is the chain of packages being visited, for cycle detection.
+      var result = [], path = [];
+      var visit = function (name) {
+        if (! tc.packages.hasOwnProperty (name)) {
+          var children = tc.packages_under (name);
+          if (! children.length)
+            throw new tc.PackageError ("tc.using: No package named " + name + (path.length ? " (imported by " + path[path.length - 1] + ")" : ""), {'package': name});
+          for (var i = 0, l = children.length; i < l; ++i) visit (children[i]);
+          return;
+        }
+
+        if (tc.index_of (result, name) >= 0) return;
+        if (tc.index_of (path, name) >= 0)
+          throw new tc.PackageError ("tc.using: Import cycle: " + path.slice (tc.index_of (path, name)).concat ([name]).join (" -> "), {'package': name});
+
+        path.push (name);
+        for (var i = 0, is = tc.packages[name].imports, l = is.length; i < l; ++i) visit (is[i].name);
+        path.pop ();
+        result.push (name);
+      };
+
+      for (var i = 0, is = tc.parse_imports (imports), l = is.length; i < l; ++i) visit (is[i].name);
+      return result;
+    };
+
+    tc.package_exports = function (name) {
+      // The exports of a defined package, or the nested object of the packages under a name that isn't one.
+      if (tc.packages.hasOwnProperty (name)) return tc.packages[name].exports;
+
+      // A package below another package is reached through the outer package's exports, not through this object.
+      for (var result = {}, children = tc.packages_under (name), i = 0, l = children.length; i < l; ++i) {
+        var parts = children[i].substr (name.length + 1).split ("."), o = result, prefix = name;
+        for (var j = 0, lp = parts.length - 1; o && j < lp; ++j)
+          if (tc.packages.hasOwnProperty (prefix += "." + parts[j])) o = null;
+          else                                                      o = o[parts[j]] = o[parts[j]] || {};
+
+        if (o) o[parts[parts.length - 1]] = tc.packages[children[i]].exports;
+      }
+      return result;
+    };
+
+    tc.import_values = function (imports, importer) {
+      var result = {}, sources = {};
+      var bind = function (local, value, source) {
+        if (Object.prototype.hasOwnProperty.call (sources, local))
+          throw new tc.PackageError ((importer ? importer : "tc.using") + ": " + local + " is imported from both " + sources[local] + " and " + source,
+                                     {'package': importer, binding: local});
+        sources[local] = source;
+        result[local]  = value;
+      };
+
+      for (var i = 0, l = imports.length; i < l; ++i) {
+        var name = imports[i].name, exports = tc.package_exports (name), names = imports[i].names;
+        if (names === "*") for (var k in exports) {if (Object.prototype.hasOwnProperty.call (exports, k)) bind (k, exports[k], name);}
+        else if (names) for (var j = 0, ln = (names = names.charAt ? [names] : names).length; j < ln; ++j) {
+          if (! exports || exports[names[j]] === undefined) throw new tc.PackageError ("tc.using: " + name + " doesn't export " + names[j], {'package': name});
+          bind (names[j], exports[names[j]], name);
+        }
+        else bind (name.substr (name.lastIndexOf (".") + 1), exports, name);
+      }
+      return result;
+    };
+
+    tc.define_package = function (name) {
+      var p = tc.packages[name];
+      if (p.defined) return p.exports;
+      p.exports = p.definition (tc.import_values (p.imports, name));
+      p.defined = true;
+      return p.exports;
+    };
+
+    tc.using = function (imports, f) {
+      for (var order = tc.package_order (imports), i = 0, l = order.length; i < l; ++i) tc.define_package (order[i]);
+      return f (tc.import_values (tc.parse_imports (imports)));
+    };
+
+    tc['package'] ("com.spencertipping.ja.tc", function () {return tc;});
+
+// Modules
+//
+// In a browser these files are loaded with script tags (see pages/wrapper.html) and each one defines a global: tc, rtti, mn and so on. Under CommonJS (Node,
+// or a bundler) each file is a module that exports its namespace instead, and files that depend on others require them. A dependent file starts like this:
+//
+//   var tc = typeof tc !== "undefined" ? tc : require ("./typeclass.js");
+//
+// In a browser the global already exists and the var declaration doesn't change it; in a module the local is still undefined at that point, so it is
+// required. Files that add to another file's namespace (generic.js adds tc.generic) modify the shared object either way. index.js loads everything at once.
+
+    if (typeof module !== "undefined" && module.exports) module.exports = tc;
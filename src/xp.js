@@ -7,22 +7,207 @@
 // Firefox, AJAX requests are created with different constructors on IE, and obtaining mouse coordinates for mouse events varies as well. This file provides
 // facilities to handle these disparities in a minimalistic, low-footprint way.
 //
-// This file depends on typeclass.js.
+// This file depends on typeclass.js and monad.js.
 
+    var tc = typeof tc !== "undefined" ? tc : require ("./typeclass.js");
+    var mn = typeof mn !== "undefined" ? mn : require ("./monad.js");
     var xp = {};
 
+// The environment
+//
+// Browser objects are looked up through xp.environment when they are used, never when this file is loaded. In a browser the environment is the window; in
+// Node there isn't one, so it is empty until you assign something that looks like a window, for instance a jsdom window or a test stand-in.
+
+    xp.environment = typeof window !== "undefined" ? window : {};
+
 // AJAX requests
 //
 // The big thing to do about AJAX requests is to produce a reliable factory for them. After that, there is not much platform-specific behavior that needs to be
 // worried about.
 
-    xp.ajax_class = tc.class_generator (function () {
-      try {return new XMLHttpRequest ();}                   catch (e) {}
-      try {return new ActiveXObject ("Msxml2.XMLHTTP");}    catch (e) {}
-      try {return new ActiveXObject ("Microsoft.XMLHTTP");} catch (e) {}
+    xp.new_xhr = function () {
+      try {return new xp.environment.XMLHttpRequest ();}                   catch (e) {}
+      try {return new xp.environment.ActiveXObject ("Msxml2.XMLHTTP");}    catch (e) {}
+      try {return new xp.environment.ActiveXObject ("Microsoft.XMLHTTP");} catch (e) {}
 
       return null;
-    });
+    };
+
+    xp.ajax_class = tc.class_generator (xp.new_xhr);
+
+// Making requests
+//
+// Most of the time you don't want the XHR itself, just the response. xp.request takes care of the open/send/readyState business and returns an async monad
+// value (see monad.js), so requests compose with mbind like anything else:
+//
+//   xp.request ({url: "/users", query: {page: 2}}).mbind (function (response) {
+//     return xp.request ({method: "POST", url: "/seen", body: {ids: response.body.ids}});
+//   }).extract (show_result, show_error);
+//
+// The options are:
+//
+//   method       defaults to GET
+//   url
+//   query        an object of parameters to add to the URL; arrays become repeated parameters, and null or undefined values are left out
+//   headers      an object of request headers
+//   body         a string is sent as it is; anything else except FormData-like objects (which have an append method) is sent as JSON
+//   json         whether to decode the response as JSON; by default that depends on its Content-Type
+//   timeout      in milliseconds; zero or missing means none
+//   retries      how many times to try again after a failure that retry_on accepts (default 0)
+//   retry_on     a predicate on the error; by default network errors, timeouts and 5xx responses are retried
+//   retry_delay  milliseconds to wait between attempts (default 0)
+//   transport    see below; defaults to xp.request.transport
+//
+// The response is {status, headers, body, text}: header names are lowercased, and body is the decoded JSON or the text. A response outside 200-299 (and 304)
+// fails with an xp.HttpError carrying the response. Other failures are xp.NetworkErrors, xp.TimeoutErrors, or xp.AbortErrors if you call abort () on the
+// returned value, which cancels the request and any retries. All of these are xp.RequestErrors and carry the request. Anything else that the transport throws
+// or reports becomes an xp.NetworkError with the original as its cause, so it is retried like any other network failure.
+//
+// A transport is a function that takes the request ({method, url, headers, body}, all filled in and encoded) and an object with load and error callbacks, and
+// returns something with an abort method. It calls load with {status, headers, text} or error with an Error. xp.xhr_transport is the real one; anything else
+// with the same shape, for instance a fake that answers from a table, can be passed as options.transport or assigned to xp.request.transport.
+
+    xp.RequestError = tc.error_class ("xp.RequestError", tc.Error);          // request: the request that failed
+    xp.HttpError    = tc.error_class ("xp.HttpError",    xp.RequestError);   // response: the response with the bad status
+    xp.NetworkError = tc.error_class ("xp.NetworkError", xp.RequestError);   // cause: what the transport threw or reported, if anything
+    xp.TimeoutError = tc.error_class ("xp.TimeoutError", xp.RequestError);
+    xp.AbortError   = tc.error_class ("xp.AbortError",   xp.RequestError);
+
+    xp.query_string = function (params) {
+      var parts = [], add = function (k, v) {if (v !== null && v !== undefined) parts.push (encodeURIComponent (k) + "=" + encodeURIComponent (v));};
+      for (var k in params)
+        if (Object.prototype.toString.call (params[k]) === "[object Array]")
+          for (var i = 0, l = params[k].length; i < l; ++i) add (k, params[k][i]);
+        else add (k, params[k]);
+      return parts.join ("&");
+    };
+
+    xp.parse_headers = function (text) {
+      for (var result = {}, lines = (text || "").split (/\r?\n/), i = 0, l = lines.length; i < l; ++i) {
+        var colon = lines[i].indexOf (":");
+        if (colon > 0) result[lines[i].substr (0, colon).replace (/^\s+|\s+$/g, "").toLowerCase ()] = lines[i].substr (colon + 1).replace (/^\s+|\s+$/g, "");
+      }
+      return result;
+    };
+
+    xp.xhr_transport = function (request, callbacks) {
+      var xhr = xp.new_xhr (), done = false;
+      if (! xhr) throw new xp.NetworkError ("xp.xhr_transport: No XMLHttpRequest available", {request: request});
+
+      xhr.open (request.method, request.url, true);
+      for (var k in request.headers) xhr.setRequestHeader (k, request.headers[k]);
+      xhr.onreadystatechange = function () {
+        if (xhr.readyState !== 4 || done) return;
+        done = true;
+        if (xhr.status === 0) callbacks.error (new xp.NetworkError ("xp.xhr_transport: Request failed", {request: request}));
+        else                  callbacks.load  ({status: xhr.status, headers: xp.parse_headers (xhr.getAllResponseHeaders ()), text: xhr.responseText});
+      };
+
+      xhr.send (request.body === undefined ? null : request.body);
+      return {abort: function () {done = true; xhr.abort ();}};
+    };
+
+    xp.prepare_request = function (options) {
+      var headers = {}, has_type = false, body = options.body, query = options.query ? xp.query_string (options.query) : "";
+      for (var k in options.headers) {
+        headers[k] = options.headers[k];
+        has_type   = has_type || k.toLowerCase () === "content-type";
+      }
+
+      if (body !== undefined && body !== null && typeof body !== "string" && ! body.append) {
+        body = JSON.stringify (body);
+        if (! has_type) headers["Content-Type"] = "application/json";
+      }
+
+      return {method:  (options.method || "GET").toUpperCase (),
+              url:     query ? options.url + (options.url.indexOf ("?") >= 0 ? "&" : "?") + query : options.url,
+              headers: headers,
+              body:    body};
+    };
+
+    xp.decode_response = function (request, response, json) {
+      var is_json = json !== undefined ? json : /json/i.test (response.headers && response.headers["content-type"] || "");
+      if (! is_json || ! response.text) return {status: response.status, headers: response.headers || {}, body: response.text, text: response.text};
+
+      try       {var body = JSON.parse (response.text);}
+      catch (e) {throw new xp.RequestError ("xp.request: Response is not valid JSON", {request: request, response: response, cause: e});}
+      return {status: response.status, headers: response.headers || {}, body: body, text: response.text};
+    };
+
+    xp.network_error = function (request, e) {
+      return e instanceof xp.RequestError ? e : new xp.NetworkError ("xp.request: " + request.method + " " + request.url + " failed: " + (e && e.message || e),
+                                                                     {request: request, cause: e});
+    };
+
+    xp.retryable = function (e) {return e instanceof xp.NetworkError || e instanceof xp.TimeoutError || e instanceof xp.HttpError && e.response.status >= 500;};
+
+    xp.request = function (options) {
+      var request   = xp.prepare_request (options),
+          transport = options.transport || xp.request.transport,
+          retry_on  = options.retry_on  || xp.retryable,
+          retries   = options.retries   || 0,
+          attempt   = 0, live = 0, current = null, timer = null, finished = false, stop;
+
+      var promise = new Promise (function (resolve, reject) {
+        // Only the live attempt's callbacks are listened to, so a late answer to an attempt that has failed or timed out is ignored.
+        var clear = function () {if (timer !== null) clearTimeout (timer); timer = live = null;};
+
+        var fail = function (e) {
+          clear ();
+          if (finished) return;
+          if (attempt <= retries && retry_on (e)) timer = setTimeout (send, options.retry_delay || 0);
+          else {
+            finished = true;
+            reject (e);
+          }
+        };
+
+        var load = function (response) {
+          // Error responses are decoded too if possible, since they often explain themselves.
+          try       {var decoded = xp.decode_response (request, response, options.json);}
+          catch (e) {if (response.status >= 200 && response.status < 300) return fail (e);
+                     decoded = xp.decode_response (request, response, false);}
+
+          clear ();
+          if ((response.status < 200 || response.status >= 300) && response.status !== 304)
+            return fail (new xp.HttpError ("xp.request: " + request.method + " " + request.url + " returned " + response.status,
+                                           {request: request, response: decoded}));
+          finished = true;
+          resolve (decoded);
+        };
+
+        var send = function () {
+          var this_attempt = live = ++attempt;
+          timer = null;
+          if (options.timeout) timer = setTimeout (function () {
+            if (current) current.abort ();
+            live = null;
+            fail (new xp.TimeoutError ("xp.request: " + request.method + " " + request.url + " timed out", {request: request}));
+          }, options.timeout);
+
+          try {
+            current = transport (request, {load:  function (response) {if (this_attempt === live) load (response);},
+                                           error: function (e)        {if (this_attempt === live) fail (xp.network_error (request, e));}});
+          } catch (e) {fail (xp.network_error (request, e));}
+        };
+
+        stop = function (e) {
+          clear ();
+          if (finished) return;
+          finished = true;
+          if (current) current.abort ();
+          reject (e);
+        };
+
+        send ();
+      });
+
+      var result = mn.async_monad.from_promise (promise);
+      result.abort = function () {stop (new xp.AbortError ("xp.request: " + request.method + " " + request.url + " was aborted", {request: request}));};
+      return result;
+    };
+
+    xp.request.transport = xp.xhr_transport;
 
 // Events
 //
@@ -48,9 +233,196 @@
 
     xp.accurately_positioned = tc.typeclass.create ().add_member ("real_x", function () {
       // Cross-browser adaptation algorithm courtesy of www.quirksmode.org.
+      var document = xp.environment.document;
       return this.pageX || (this.clientX + document.body.scrollLeft + document.documentElement.scrollLeft);
     }                                               ).add_member ("real_y", function () {
+      var document = xp.environment.document;
       return this.pageY || (this.clientY + document.body.scrollTop  + document.documentElement.scrollTop);
     });
 
-    xp.event_wrapper = tc.typeclass.create ().brings (xp.detects_mouse_button, xp.targeted_event, xp.stoppable_event, xp.accurately_positioned);
+// Keyboard, wheel and pointer events have problems of their own. Older browsers give keys as numeric codes rather than names, and some of the names they do
+// give are nonstandard; wheel deltas come in pixels, lines, pages or 120ths of a notch depending on who you ask; and touch events carry a list of points where
+// mouse and pointer events have just one. These typeclasses smooth that over. Key names follow the standard KeyboardEvent.key values (so "ArrowLeft" rather
+// than "Left"), wheel deltas are in pixels with positive values meaning down and right, and every pointer-like event has a list of points in page coordinates.
+// Where a key or code can't be worked out, the result is undefined.
+
+    xp.key_names = {8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Control", 18: "Alt", 20: "CapsLock", 27: "Escape", 32: " ", 33: "PageUp",
+                    34: "PageDown", 35: "End", 36: "Home", 37: "ArrowLeft", 38: "ArrowUp", 39: "ArrowRight", 40: "ArrowDown", 45: "Insert", 46: "Delete"};
+
+    xp.legacy_key_names = {Esc: "Escape", Left: "ArrowLeft", Up: "ArrowUp", Right: "ArrowRight", Down: "ArrowDown", Del: "Delete", Spacebar: " ",
+                           Win: "Meta", OS: "Meta", Apps: "ContextMenu", Scroll: "ScrollLock"};
+
+    xp.wheel_scale = {line: 16, page: 800, notch: 48};
+
+    xp.keyboard_event = tc.typeclass.create ().add_member ("real_key", function () {
+      if (this.key && this.key !== "Unidentified") return xp.legacy_key_names[this.key] || this.key;
+
+      var code = this.which || this.keyCode, char_code = this.type === "keypress" ? this.charCode || code : 0;
+      if (char_code)                      return String.fromCharCode (char_code);
+      if (code >= 112 && code <= 123)     return "F" + (code - 111);
+      if (code >= 65  && code <= 90)      return String.fromCharCode (this.shiftKey ? code : code + 32);
+      if (code >= 48  && code <= 57)      return String.fromCharCode (code);
+      return xp.key_names[code];
+    }                                        ).add_member ("real_code", function () {
+      if (this.code) return this.code;
+
+      var code = this.keyCode || this.which, name = xp.key_names[code];
+      if (code >= 112 && code <= 123) return "F" + (code - 111);
+      if (code >= 65  && code <= 90)  return "Key"   + String.fromCharCode (code);
+      if (code >= 48  && code <= 57)  return "Digit" + String.fromCharCode (code);
+      if (name === " ")               return "Space";
+      return name && ! /^(Shift|Control|Alt)$/.test (name) ? name : undefined;  // These come in left and right versions, and we can't tell which.
+    }                                        ).add_member ("modifiers", function () {
+      return {shift: !! this.shiftKey, ctrl: !! this.ctrlKey, alt: !! this.altKey, meta: !! this.metaKey};
+    });
+
+    xp.wheel_event = tc.typeclass.create ().add_member ("wheel_delta", function () {
+      // Standard wheel events have deltaMode; then there are mousewheel (wheelDelta, 120 per notch, positive up) and DOMMouseScroll (detail, in lines).
+      var scale = xp.wheel_scale;
+      if (this.deltaY !== undefined) {
+        var unit = this.deltaMode === 1 ? scale.line : this.deltaMode === 2 ? scale.page : 1;
+        return {x: (this.deltaX || 0) * unit, y: this.deltaY * unit};
+      }
+
+      if (this.wheelDelta !== undefined) return {x: -(this.wheelDeltaX || 0) / 120 * scale.notch, y: -(this.wheelDeltaY || this.wheelDelta) / 120 * scale.notch};
+      if (this.axis !== undefined && this.axis === this.HORIZONTAL_AXIS) return {x: (this.detail || 0) * scale.line, y: 0};
+      return {x: 0, y: (this.detail || 0) * scale.line};
+    });
+
+    xp.pointer_event = tc.typeclass.create ().brings (xp.accurately_positioned).add_member ("pointer_type", function () {
+      return this.pointerType || (this.touches || this.changedTouches ? "touch" : "mouse");
+    }                                                                         ).add_member ("points", function () {
+      // Touches that have just ended are no longer in /touches/, so on touchend we look at the ones that changed instead.
+      var touches = this.touches && this.touches.length ? this.touches : this.changedTouches;
+      if (! touches) return [{id: this.pointerId !== undefined ? this.pointerId : 1, x: this.real_x (), y: this.real_y ()}];
+
+      for (var result = [], i = 0, l = touches.length; i < l; ++i) result.push ({id: touches[i].identifier, x: touches[i].pageX, y: touches[i].pageY});
+      return result;
+    });
+
+    xp.cancelable_event = tc.typeclass.create ().add_member ("cancel", function () {
+      if (this.preventDefault) this.preventDefault ();
+      else                     this.returnValue = false;
+    }                                          ).add_member ("is_cancelled", function () {
+      return !! this.defaultPrevented || this.returnValue === false;
+    });
+
+    xp.event_wrapper = tc.typeclass.create ().brings (xp.detects_mouse_button, xp.targeted_event, xp.stoppable_event, xp.accurately_positioned,
+                                                      xp.keyboard_event, xp.wheel_event, xp.pointer_event, xp.cancelable_event);
+
+// Listening for events
+//
+// xp.listen hides the difference between addEventListener and IE's attachEvent, and it adds a wrapper typeclass (xp.event_wrapper unless options.wrapper says
+// otherwise) to each event before the handler sees it. The handler is called with the element as /this/, as it would be by the browser. The options are:
+//
+//   capture   listen in the capture phase (ignored where only attachEvent exists)
+//   passive   passed through to addEventListener
+//   once      stop listening after the handler has been called once
+//   delegate  a CSS selector or a predicate on nodes; the handler is called only for events whose actual_target is, or is inside, a matching node under the
+//             element, and /this/ is the matching node
+//
+// For example:
+//
+//   var l = xp.listen (list, "click", function (e) {e.cancel (); open (this.href);}, {delegate: "a.item"});
+//   xp.unlisten (l);
+//
+// xp.unlisten takes either what xp.listen returned or an element with an optional type, handler and options, in which case it removes every matching listener;
+// xp.unlisten (element) removes all of them. Listeners are recorded on the element itself, not in any global table, so an element that is thrown away takes its
+// listeners with it. The exception is attachEvent, which in old versions of IE leaks anything that closes over an element until the page is unloaded; elements
+// with listeners are remembered there until their last listener goes, and everything is removed on unload.
+
+    xp.EventError = tc.error_class ("xp.EventError", tc.Error);
+
+    xp.wrap_event = function (e, wrapper) {
+      if (! wrapper.implemented_on (e)) wrapper.add (e);
+      return e;
+    };
+
+    xp.matches = function (node, selector) {
+      if (selector.apply)      return !! selector (node);
+      if (node.nodeType !== 1) return false;
+
+      var f = node.matches || node.msMatchesSelector || node.webkitMatchesSelector || node.mozMatchesSelector;
+      if (f) return f.call (node, selector);
+
+      var document = node.ownerDocument || xp.environment.document;
+      if (! document || ! document.querySelectorAll) throw new xp.EventError ("xp.matches: No way to match selectors", {node: node, selector: selector});
+      for (var all = document.querySelectorAll (selector), i = 0, l = all.length; i < l; ++i) if (all[i] === node) return true;
+      return false;
+    };
+
+    xp.delegate_target = function (e, element, delegate) {
+      // The innermost matching node between the event's target and the element, not counting the element itself.
+      for (var node = e.actual_target ? e.actual_target () : e.target || e.srcElement; node && node !== element; node = node.parentNode)
+        if (xp.matches (node, delegate)) return node;
+    };
+
+    xp.listen = function (element, type, handler, options) {
+      options = options || {};
+      var wrapper = options.wrapper || xp.event_wrapper,
+          entry   = {element: element, type: type, handler: handler, capture: !! options.capture};
+
+      entry.listener = function (e) {
+        e = xp.wrap_event (e || xp.environment.event, wrapper);
+        var target = options.delegate ? xp.delegate_target (e, element, options.delegate) : element;
+        if (! target) return;
+        if (options.once) xp.unlisten (entry);
+        return handler.apply (target, [e]);
+      };
+
+      if (element.addEventListener)
+        element.addEventListener (type, entry.listener, options.passive === undefined ? entry.capture : {capture: entry.capture, passive: !! options.passive});
+      else if (element.attachEvent) {
+        element.attachEvent ("on" + type, entry.listener);
+        xp.remember_until_unload (element);
+      }
+      else throw new xp.EventError ("xp.listen: Element does not support event listeners", {element: element, type: type});
+
+      (element.xp_listeners || (element.xp_listeners = [])).push (entry);
+      return entry;
+    };
+
+    xp.unlisten = function (element, type, handler, options) {
+      if (element && element.listener && element.element) return xp.remove_listener (element);
+
+      var capture = options && options.capture !== undefined ? !! options.capture : undefined;
+      for (var ls = (element.xp_listeners || []).slice (), i = 0, l = ls.length; i < l; ++i)
+        if ((type === undefined || ls[i].type === type) && (handler === undefined || ls[i].handler === handler) &&
+            (capture === undefined || ls[i].capture === capture)) xp.remove_listener (ls[i]);
+    };
+
+    xp.remove_listener = function (entry) {
+      // Removing a listener twice does nothing the second time.
+      var element = entry.element, ls = element.xp_listeners || [], i = tc.index_of (ls, entry);
+      if (i < 0) return;
+
+      if      (element.removeEventListener) element.removeEventListener (entry.type, entry.listener, entry.capture);
+      else if (element.detachEvent)         element.detachEvent         ("on" + entry.type, entry.listener);
+
+      ls.splice (i, 1);
+      if (ls.length) return;
+
+      // Old IE can't delete properties from DOM nodes.
+      try       {delete element.xp_listeners;}
+      catch (e) {element.xp_listeners = undefined;}
+      if (xp.unload_targets && (i = tc.index_of (xp.unload_targets, element)) >= 0) xp.unload_targets.splice (i, 1);
+    };
+
+    xp.unload_targets = null;
+
+    xp.remember_until_unload = function (element) {
+      if (! xp.unload_targets) {
+        xp.unload_targets = [];
+        if (xp.environment.attachEvent) xp.environment.attachEvent ("onunload", function () {
+          for (var ts = xp.unload_targets.slice (), i = 0, l = ts.length; i < l; ++i) xp.unlisten (ts[i]);
+        });
+      }
+
+      if (tc.index_of (xp.unload_targets, element) < 0) xp.unload_targets.push (element);
+    };
+
+    tc.name_typeclasses (xp, "xp");
+    // index.js registers this package before loading the file, so that tc.using can load it.
+    if (! tc.packages.hasOwnProperty ("com.spencertipping.ja.xp")) tc['package'] ("com.spencertipping.ja.xp", function () {return xp;});
+
+    if (typeof module !== "undefined" && module.exports) module.exports = xp;